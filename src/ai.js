@@ -1,16 +1,8 @@
-import Anthropic from '@anthropic-ai/sdk';
-import { CONFIG } from './config.js';
-
-// Lazy initialization to allow env to load first
-let anthropic = null;
-function getClient() {
-  if (!anthropic) {
-    anthropic = new Anthropic({
-      apiKey: CONFIG.anthropicApiKey || process.env.ANTHROPIC_API_KEY,
-    });
-  }
-  return anthropic;
-}
+import { contentHash, findBestMatch, normalizeText } from './similarity.js';
+import { validateSchema } from './schema.js';
+import { chunkTranscript } from './chunking.js';
+import { callTool, getLlmOptions } from './llm.js';
+import { parseItemDeadline } from './deadlines.js';
 
 const DEFAULT_PROMPT = `You are an expert at analyzing meeting notes and transcripts to extract actionable items.
 
@@ -22,6 +14,8 @@ For each action item, provide:
 3. The assignee if mentioned (or "Unassigned" if not clear)
 4. Priority (High, Medium, Low) based on urgency signals in the conversation
 5. Any mentioned deadline or timeframe
+6. The supporting quote(s), copied verbatim from the notes or transcript, with the speaker if known
+7. Your confidence (0 to 1) that this is a real, agreed action item
 
 Focus on:
 - Explicit commitments ("I will...", "Let's...", "We need to...")
@@ -34,35 +28,404 @@ Ignore:
 - Questions without resolution
 - Past completed items
 
-Return your response as a JSON array of action items with this structure:
-{
-  "actionItems": [
-    {
-      "title": "string",
-      "description": "string",
-      "assignee": "string",
-      "priority": "High" | "Medium" | "Low",
-      "deadline": "string or null"
+Also summarize the meeting in the same call:
+- A concise summary (2-4 sentences) of what was discussed and concluded
+- Key decisions that were made
+- Open questions left unresolved
+- Risks, concerns or blockers that were raised
+
+Record every action item and the summary by calling the record_action_items tool.
+
+If no action items are found, call the tool with an empty actionItems list.`;
+
+const CONSOLIDATION_PROMPT = `You are consolidating action items that were extracted separately from consecutive, overlapping parts of a long meeting transcript. The same action item may appear several times with different wording.
+
+Produce the final list of action items for the meeting:
+- Merge candidates that describe the same task into one item, combining their context and keeping the most specific assignee, the highest priority, the earliest deadline and all of their supporting quotes
+- Reconcile them with the meeting notes: add action items from the notes that are missing among the candidates, and prefer the notes' wording where both describe the same task
+- Drop candidates that the notes show were resolved or abandoned later in the meeting
+
+Also combine the partial summaries into one meeting summary, merging duplicate decisions, open questions and risks, and dropping questions the notes show were answered.
+
+Record the final list and summary by calling the record_action_items tool.`;
+
+// Transcript chunking defaults, in characters (roughly 4 characters per token)
+const DEFAULT_CHUNKING = {
+  chunkingMode: 'auto', // auto (only when content exceeds chunkSize), always, off
+  chunkSize: 40000,
+  chunkOverlap: 2000,
+};
+
+// Candidates from different chunks at least this similar are merged before consolidation
+const CANDIDATE_MERGE_THRESHOLD = 0.8;
+
+// Confidence ceiling for items whose citations could not be found in the meeting
+const UNVERIFIED_CONFIDENCE_CAP = 0.5;
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+// Common priority words the model uses instead of the enum values
+const PRIORITY_ALIASES = {
+  high: 'High',
+  urgent: 'High',
+  critical: 'High',
+  medium: 'Medium',
+  normal: 'Medium',
+  low: 'Low',
+  minor: 'Low',
+};
+
+// How many times a response failing validation is sent back to the model
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const ACTION_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description', 'assignee', 'priority', 'deadline', 'citations', 'confidence'],
+  properties: {
+    title: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 200,
+      description: 'Clear, concise title suitable for a Linear issue',
+    },
+    description: {
+      type: 'string',
+      description: 'Context from the meeting explaining the task',
+    },
+    assignee: {
+      type: 'string',
+      minLength: 1,
+      description: 'Name of the person responsible, or "Unassigned"',
+    },
+    priority: {
+      type: 'string',
+      enum: PRIORITIES,
+    },
+    deadline: {
+      type: ['string', 'null'],
+      minLength: 1,
+      maxLength: 100,
+      description: 'Deadline or timeframe as mentioned in the meeting, or null',
+    },
+    citations: {
+      type: 'array',
+      minItems: 1,
+      description: 'Verbatim quotes from the notes or transcript that support this action item',
+      items: {
+        type: 'object',
+        required: ['quote'],
+        properties: {
+          quote: { type: 'string', minLength: 1, description: 'Exact text copied from the meeting' },
+          speaker: { type: ['string', 'null'], description: 'Who said it, if known' },
+        },
+      },
+    },
+    confidence: {
+      type: 'number',
+      minimum: 0,
+      maximum: 1,
+      description: 'Confidence from 0 to 1 that this is a real, agreed action item',
+    },
+  },
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const MEETING_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'decisions', 'openQuestions', 'risks'],
+  properties: {
+    summary: { type: 'string', description: 'Concise summary of the meeting in 2-4 sentences' },
+    decisions: { ...STRING_LIST, description: 'Key decisions made in the meeting' },
+    openQuestions: { ...STRING_LIST, description: 'Questions left unresolved' },
+    risks: { ...STRING_LIST, description: 'Risks, concerns or blockers raised' },
+  },
+};
+
+const EXTRACTION_TOOL = {
+  name: 'record_action_items',
+  description: 'Record the action items and summary extracted from the meeting',
+  input_schema: {
+    type: 'object',
+    required: ['actionItems', 'meetingSummary'],
+    properties: {
+      actionItems: {
+        type: 'array',
+        items: ACTION_ITEM_SCHEMA,
+      },
+      meetingSummary: MEETING_SUMMARY_SCHEMA,
+    },
+  },
+};
+
+// Repairs for invalid field values; returning undefined means the field cannot be repaired
+const FIELD_REPAIRS = {
+  title: value => (typeof value === 'string' && value.trim() ? value.trim().slice(0, 200) : undefined),
+  description: value => (value === null || value === undefined ? '' : String(value)),
+  assignee: value => (typeof value === 'string' && value.trim() ? value.trim() : 'Unassigned'),
+  priority: value => PRIORITY_ALIASES[String(value ?? '').trim().toLowerCase()] || 'Medium',
+  deadline: value => {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text ? text.slice(0, 100) : null;
+  },
+  citations: value => (Array.isArray(value) ? value : [])
+    .filter(c => c && typeof c.quote === 'string' && c.quote.trim())
+    .map(c => ({
+      quote: c.quote.trim(),
+      speaker: typeof c.speaker === 'string' && c.speaker.trim() ? c.speaker.trim() : null,
+    })),
+  confidence: value => {
+    let confidence = parseFloat(value);
+    if (isNaN(confidence)) return UNVERIFIED_CONFIDENCE_CAP;
+    if (confidence > 1 && confidence <= 100) confidence /= 100; // Percentages
+    return Math.min(1, Math.max(0, confidence));
+  },
+};
+
+/**
+ * Validate and repair a single extracted action item
+ * Returns { item, warnings } or { error } when the item cannot be repaired.
+ */
+function validateActionItem(raw) {
+  const item = {};
+  const warnings = [];
+
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    for (const field of Object.keys(ACTION_ITEM_SCHEMA.properties)) {
+      item[field] = raw[field];
     }
-  ]
+  }
+
+  for (const violation of validateSchema(raw, ACTION_ITEM_SCHEMA)) {
+    const field = violation.path.split(/[.[]/)[0];
+    const repair = FIELD_REPAIRS[field];
+    const repaired = repair ? repair(raw[field]) : undefined;
+
+    if (repaired === undefined) {
+      return { error: violation.message };
+    }
+
+    warnings.push(`${violation.message} (got ${JSON.stringify(raw[field] ?? null)}, using ${JSON.stringify(repaired)})`);
+    item[field] = repaired;
+  }
+
+  return { item, warnings };
 }
 
-If no action items are found, return: { "actionItems": [] }`;
+/**
+ * Normalize the meeting summary from the tool input
+ * A missing or malformed summary is not worth another model call, so it is
+ * repaired leniently instead of being sent back for a fix.
+ */
+function normalizeSummary(raw) {
+  const summary = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const list = value => (Array.isArray(value) ? value : [])
+    .map(entry => (typeof entry === 'string' ? entry : entry?.text))
+    .filter(entry => typeof entry === 'string' && entry.trim())
+    .map(entry => entry.trim());
+
+  return {
+    summary: typeof summary.summary === 'string' ? summary.summary.trim() : '',
+    decisions: list(summary.decisions),
+    openQuestions: list(summary.openQuestions),
+    risks: list(summary.risks),
+  };
+}
 
 /**
- * Extract action items from meeting content using Claude
+ * Validate the tool input returned by the model
+ * Returns { items, errors, fatal }: items are repaired and carry their
+ * validationWarnings, errors list everything that had to be dropped.
  */
-export async function extractActionItems(meeting, customPrompt = null) {
-  const prompt = customPrompt || DEFAULT_PROMPT;
+function validateExtraction(input) {
+  const structural = validateSchema(input, {
+    type: 'object',
+    required: ['actionItems'],
+    properties: { actionItems: { type: 'array' } },
+  });
+  if (structural.length > 0) {
+    return { items: [], errors: structural.map(v => v.message), fatal: true };
+  }
 
-  // Combine notes and transcript for analysis
-  let content = `Meeting: ${meeting.title}\n`;
-  content += `Date: ${new Date(meeting.date).toLocaleDateString()}\n`;
+  const items = [];
+  const errors = [];
+
+  input.actionItems.forEach((raw, index) => {
+    const result = validateActionItem(raw);
+    if (result.error) {
+      errors.push(`actionItems[${index}]: ${result.error}`);
+    } else {
+      items.push({ ...result.item, validationWarnings: result.warnings });
+    }
+  });
+
+  return { items, errors, fatal: false };
+}
+
+/**
+ * Ask the model for action items and the meeting summary via the extraction
+ * tool, feeding validation errors back to the model until the response is
+ * valid or retries run out
+ * @param {string} userContent - Prompt and meeting content
+ * @param {Object} llm - Provider options (see getLlmOptions)
+ * @param {Object} context - Raw inputs for rule-based providers
+ * @returns {Object} { items, summary }
+ */
+async function requestExtraction(userContent, llm, context) {
+  const messages = [{ role: 'user', content: userContent }];
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await callTool(llm, { messages, tool: EXTRACTION_TOOL, context });
+
+    const result = response.input
+      ? validateExtraction(response.input)
+      : { items: [], errors: [`response did not call ${EXTRACTION_TOOL.name}`], fatal: true };
+
+    if (result.errors.length === 0) {
+      return { items: result.items, summary: normalizeSummary(response.input.meetingSummary) };
+    }
+
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      if (result.fatal) {
+        throw new Error(`Invalid extraction after ${attempt + 1} attempt(s): ${result.errors.join('; ')}`);
+      }
+      console.warn(`Dropping ${result.errors.length} invalid action item(s): ${result.errors.join('; ')}`);
+      return { items: result.items, summary: normalizeSummary(response.input.meetingSummary) };
+    }
+
+    console.warn(`Extraction failed validation (attempt ${attempt + 1}), asking for a repair...`);
+
+    const feedback = `The extraction had validation errors:\n${result.errors.map(e => `- ${e}`).join('\n')}\n\n`
+      + `Call ${EXTRACTION_TOOL.name} again with the complete, corrected list of action items and the meeting summary.`;
+
+    messages.push({
+      role: 'assistant',
+      content: response.input ? JSON.stringify(response.input) : (response.text || '(no tool call)'),
+    });
+    messages.push({ role: 'user', content: feedback });
+  }
+}
+
+/**
+ * Keep only citations whose quote actually appears in the meeting text,
+ * capping the confidence of items left without any supporting quote
+ */
+function verifyCitations(item, meetingText) {
+  const warnings = [...item.validationWarnings];
+  const citations = item.citations.filter(citation => {
+    const quote = normalizeText(citation.quote);
+    if (quote && meetingText.includes(quote)) {
+      return true;
+    }
+    warnings.push(`Discarded citation not found in the meeting: "${citation.quote}"`);
+    return false;
+  });
+
+  let confidence = item.confidence;
+  if (citations.length === 0) {
+    warnings.push('No supporting quote found in the meeting');
+    confidence = Math.min(confidence, UNVERIFIED_CONFIDENCE_CAP);
+  }
+
+  return { ...item, citations, confidence, validationWarnings: warnings };
+}
+
+/**
+ * Build the meeting header shared by every extraction request
+ */
+function buildMeetingHeader(meeting) {
+  let header = `Meeting: ${meeting.title}\n`;
+  header += `Date: ${new Date(meeting.date).toLocaleDateString()}\n`;
 
   if (meeting.participants && meeting.participants.length > 0) {
-    content += `Participants: ${meeting.participants.join(', ')}\n`;
+    header += `Participants: ${meeting.participants.join(', ')}\n`;
+  }
+
+  return header;
+}
+
+/**
+ * Resolve chunking options from settings, falling back to defaults
+ */
+function getChunkingOptions(settings = {}) {
+  const chunkSize = parseInt(settings.chunkSize, 10) || DEFAULT_CHUNKING.chunkSize;
+  const chunkOverlap = parseInt(settings.chunkOverlap, 10);
+
+  return {
+    chunkingMode: settings.chunkingMode || DEFAULT_CHUNKING.chunkingMode,
+    chunkSize,
+    chunkOverlap: isNaN(chunkOverlap) ? DEFAULT_CHUNKING.chunkOverlap : chunkOverlap,
+  };
+}
+
+/**
+ * Merge candidates from all chunks into the final list, reconciled with the notes,
+ * and the partial summaries into one
+ */
+async function consolidateActionItems(meeting, candidates, summaries, llm) {
+  // Collapse near-identical candidates from overlapping chunks before the model sees them
+  const unique = [];
+  for (const candidate of candidates) {
+    if (!findBestMatch(candidate.title, unique, CANDIDATE_MERGE_THRESHOLD)) {
+      unique.push(candidate);
+    }
   }
 
+  let content = buildMeetingHeader(meeting);
+  content += '\n--- MEETING NOTES ---\n';
+  content += meeting.notes || '(No notes available)';
+  content += '\n\n--- CANDIDATE ACTION ITEMS ---\n';
+  content += JSON.stringify(unique.map(({ validationWarnings, ...candidate }) => candidate), null, 2);
+  content += '\n\n--- PARTIAL SUMMARIES ---\n';
+  content += JSON.stringify(summaries, null, 2);
+
+  return requestExtraction(`${CONSOLIDATION_PROMPT}\n\n${content}`, llm, {
+    meeting,
+    notes: meeting.notes,
+    candidates: unique,
+    summaries,
+  });
+}
+
+/**
+ * Map-reduce extraction: extract candidates from each transcript chunk,
+ * then consolidate them in a final pass
+ */
+async function extractInChunks(meeting, prompt, chunking, llm) {
+  const chunks = chunkTranscript(meeting, chunking);
+  console.log(`    Splitting transcript into ${chunks.length} chunk(s)`);
+
+  const candidates = [];
+  const summaries = [];
+  for (const chunk of chunks) {
+    let content = buildMeetingHeader(meeting);
+    content += `\n--- TRANSCRIPT (part ${chunk.index + 1} of ${chunks.length}) ---\n`;
+    content += chunk.text;
+
+    const { items, summary } = await requestExtraction(`${prompt}\n\n${content}`, llm, { meeting, text: chunk.text });
+    candidates.push(...items);
+    summaries.push(summary);
+  }
+
+  return consolidateActionItems(meeting, candidates, summaries, llm);
+}
+
+/**
+ * Extract action items and the meeting summary (decisions, open questions,
+ * risks) in one pass using the configured LLM provider
+ * Long transcripts are split into chunks according to the chunking settings.
+ * @param {Object} options - { signal } to cancel the LLM calls
+ * @returns {Object} { actionItems, summary }
+ */
+export async function extractMeetingInsights(meeting, customPrompt = null, settings = {}, { signal } = {}) {
+  const prompt = customPrompt || DEFAULT_PROMPT;
+  const chunking = getChunkingOptions(settings);
+  const llm = { ...getLlmOptions(settings), signal };
+
+  // Combine notes and transcript for analysis
+  let content = buildMeetingHeader(meeting);
+
   content += '\n--- MEETING NOTES ---\n';
   content += meeting.notes || '(No notes available)';
 
@@ -71,45 +434,75 @@ export async function extractActionItems(meeting, customPrompt = null) {
     content += meeting.transcript;
   }
 
-  try {
-    const response = await getClient().messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      messages: [
-        { role: 'user', content: `${prompt}\n\n${content}` },
-      ],
-    });
+  const useChunks = !!meeting.transcript && (
+    chunking.chunkingMode === 'always'
+    || (chunking.chunkingMode === 'auto' && content.length > chunking.chunkSize)
+  );
 
-    // Extract JSON from Claude's response
-    const responseText = response.content[0].text;
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No JSON found in response');
-    }
+  try {
+    const { items, summary } = useChunks
+      ? await extractInChunks(meeting, prompt, chunking, llm)
+      : await requestExtraction(`${prompt}\n\n${content}`, llm, {
+        meeting,
+        text: `${meeting.notes || ''}\n${meeting.transcript || ''}`,
+      });
 
-    const result = JSON.parse(jsonMatch[0]);
+    const meetingText = normalizeText(`${meeting.notes || ''}\n${meeting.transcript || ''}`);
 
     // Add meeting context to each action item
-    const actionItems = (result.actionItems || []).map((item, index) => ({
-      ...item,
-      id: `${meeting.id}_action_${index}`,
+    const actionItems = items.map(item => ({
+      ...verifyCitations(item, meetingText),
+      id: getActionItemId(meeting.id, item),
       meetingId: meeting.id,
       meetingTitle: meeting.title,
       meetingDate: meeting.date,
+      meetingParticipants: meeting.participants || [],
       extractedAt: new Date().toISOString(),
       status: 'pending_review', // pending_review, approved, rejected, created
+    })).map(item => ({
+      ...item,
+      ...parseItemDeadline(item, settings),
     }));
 
-    return actionItems;
+    return {
+      actionItems,
+      summary: { ...summary, extractedAt: new Date().toISOString() },
+    };
   } catch (error) {
-    console.error('Error extracting action items:', error.message);
+    if (!signal?.aborted) {
+      console.error('Error extracting action items:', error.message);
+    }
     throw error;
   }
 }
 
+/**
+ * Extract action items from meeting content (see extractMeetingInsights)
+ */
+export async function extractActionItems(meeting, customPrompt = null, settings = {}) {
+  const { actionItems } = await extractMeetingInsights(meeting, customPrompt, settings);
+  return actionItems;
+}
+
+/**
+ * Build a stable action item ID from the meeting and the item's normalized
+ * title and assignee, so re-processing a meeting yields the same IDs
+ * regardless of item order, and the same task for two people stays two items
+ */
+export function getActionItemId(meetingId, item) {
+  return `${meetingId}_${contentHash(`${item.title} ${item.assignee || ''}`)}`;
+}
+
 /**
  * Get the default extraction prompt
  */
 export function getDefaultPrompt() {
   return DEFAULT_PROMPT;
 }
+
+/**
+ * Get the default transcript chunking settings
+ */
+export function getDefaultChunking() {
+  return { ...DEFAULT_CHUNKING };
+}
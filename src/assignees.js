@@ -0,0 +1,132 @@
+/**
+ * Assignee resolution
+ *
+ * Maps the free-text assignee the model extracted ("Bob", "bob@acme.com",
+ * "Robert Smith") to a Linear user, using emails, display names, a
+ * configurable alias table and the meeting's calendar attendees to narrow
+ * down common first names. Ambiguous or unknown names are never guessed.
+ */
+
+import { normalizeText } from './similarity.js';
+
+// Assignee values that mean nobody was named
+const UNASSIGNED = new Set(['', 'unassigned', 'none', 'unknown', 'tbd', 'n a', 'team', 'everyone']);
+
+const isEmail = value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+/**
+ * Look up an alias case-insensitively
+ */
+function lookupAlias(name, aliases = {}) {
+  const key = normalizeText(name);
+  const entry = Object.entries(aliases || {}).find(([alias]) => normalizeText(alias) === key);
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Name tokens a participant email suggests: "bob.smith@acme.com" → ["bob", "smith"]
+ */
+function emailNameTokens(email) {
+  return normalizeText(email.split('@')[0].replace(/[._-]+/g, ' ')).split(' ');
+}
+
+/**
+ * Find users whose email, display name, full name or first name matches
+ */
+function findCandidates(name, users) {
+  const target = normalizeText(name);
+  if (!target) return [];
+
+  if (isEmail(name)) {
+    return users.filter(u => u.email && u.email.toLowerCase() === name.toLowerCase());
+  }
+
+  const exact = users.filter(u => (
+    normalizeText(u.name) === target
+    || normalizeText(u.displayName) === target
+    || u.id === name
+  ));
+  if (exact.length > 0) {
+    return exact;
+  }
+
+  // "Bob" matches "Bob Smith"; "Bob S" matches "Bob Smith"
+  const tokens = target.split(' ');
+  return users.filter(u => {
+    const userTokens = normalizeText(u.name).split(' ');
+    return tokens.every((token, i) => userTokens[i] && userTokens[i].startsWith(token));
+  });
+}
+
+/**
+ * Narrow candidates to meeting attendees, if that leaves any
+ */
+function narrowToParticipants(candidates, participants = []) {
+  const emails = new Set(
+    participants.filter(isEmail).map(p => p.toLowerCase())
+  );
+  const attending = candidates.filter(u => u.email && emails.has(u.email.toLowerCase()));
+  return attending.length > 0 ? attending : candidates;
+}
+
+const summarize = user => ({ id: user.id, name: user.name, email: user.email });
+
+/**
+ * Resolve an assignee name to a Linear user
+ * @param {string} name - Assignee as extracted from the meeting
+ * @param {Object} options - { users, participants, aliases }
+ * @returns {Object} { status: 'none' | 'matched' | 'ambiguous' | 'unmatched', userId, userName, candidates }
+ */
+export function resolveAssignee(name, { users, participants = [], aliases = {} }) {
+  const assignee = String(name || '').trim();
+  if (UNASSIGNED.has(normalizeText(assignee))) {
+    return { status: 'none', userId: null, userName: null, candidates: [] };
+  }
+
+  const target = lookupAlias(assignee, aliases) || assignee;
+  let candidates = narrowToParticipants(findCandidates(target, users), participants);
+
+  // No user by that name: try attendees whose email looks like the name
+  if (candidates.length === 0 && !isEmail(target)) {
+    const tokens = normalizeText(target).split(' ');
+    const attendeeEmails = participants
+      .filter(isEmail)
+      .map(email => email.toLowerCase())
+      .filter(email => tokens.every(token => emailNameTokens(email).includes(token)));
+    candidates = users.filter(u => u.email && attendeeEmails.includes(u.email.toLowerCase()));
+  }
+
+  if (candidates.length === 1) {
+    return {
+      status: 'matched',
+      userId: candidates[0].id,
+      userName: candidates[0].name,
+      candidates: candidates.map(summarize),
+    };
+  }
+
+  return {
+    status: candidates.length > 1 ? 'ambiguous' : 'unmatched',
+    userId: null,
+    userName: null,
+    candidates: candidates.map(summarize),
+  };
+}
+
+/**
+ * Store the resolution result on an action item
+ */
+export function applyResolution(item, users, settings = {}) {
+  const resolution = resolveAssignee(item.assignee, {
+    users,
+    participants: item.meetingParticipants,
+    aliases: settings.assigneeAliases,
+  });
+
+  return {
+    ...item,
+    assigneeId: resolution.userId,
+    assigneeName: resolution.userName,
+    assigneeResolution: { status: resolution.status, candidates: resolution.candidates },
+  };
+}
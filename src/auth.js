@@ -0,0 +1,115 @@
+/**
+ * API authentication
+ *
+ * Every /api route except the Linear webhook (which is signed) and the
+ * session routes requires either `Authorization: Bearer <token>` or a
+ * session cookie. The web UI gets the cookie by exchanging the token once at
+ * POST /api/session. The token is API_TOKEN, or one generated on first run
+ * and kept in data/api-token.
+ *
+ * Session cookies are signed with the token, so they survive restarts and
+ * are all invalidated by changing it.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { join } from 'path';
+import { CONFIG } from './config.js';
+
+const TOKEN_FILE = join(CONFIG.dataDir, 'api-token');
+
+export const SESSION_COOKIE = 'granola_linear_session';
+const SESSION_DAYS = 30;
+
+// Reachable without authentication (paths relative to /api)
+const PUBLIC_PATHS = ['/session', '/linear/webhook'];
+
+// Lazy-initialized token
+let apiToken = null;
+
+/**
+ * Get the API token, generating and saving one on first run
+ */
+export function getApiToken() {
+  if (apiToken) {
+    return apiToken;
+  }
+
+  if (CONFIG.apiToken) {
+    apiToken = CONFIG.apiToken;
+  } else if (existsSync(TOKEN_FILE)) {
+    apiToken = readFileSync(TOKEN_FILE, 'utf-8').trim();
+  } else {
+    if (!existsSync(CONFIG.dataDir)) {
+      mkdirSync(CONFIG.dataDir, { recursive: true });
+    }
+    apiToken = randomBytes(24).toString('base64url');
+    writeFileSync(TOKEN_FILE, `${apiToken}\n`, { mode: 0o600 });
+    console.log(`🔑 Generated an API token in ${TOKEN_FILE}; enter it in the web UI once to sign in`);
+  }
+
+  return apiToken;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+function sign(expires) {
+  return createHmac('sha256', getApiToken()).update(`session:${expires}`).digest('base64url');
+}
+
+/**
+ * Check a token entered in the UI
+ */
+export function checkToken(token) {
+  return typeof token === 'string' && safeEqual(token, getApiToken());
+}
+
+/**
+ * Set the session cookie on a response
+ */
+export function startSession(res) {
+  const maxAge = SESSION_DAYS * 24 * 60 * 60 * 1000;
+  const expires = Date.now() + maxAge;
+  res.cookie(SESSION_COOKIE, `${expires}.${sign(expires)}`, { httpOnly: true, sameSite: 'strict', path: '/', maxAge });
+}
+
+export function endSession(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', path: '/' });
+}
+
+function getCookie(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a request carries the token or a valid session cookie
+ */
+export function isAuthenticated(req) {
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    return checkToken(bearer[1]);
+  }
+
+  const [expires, signature] = (getCookie(req, SESSION_COOKIE) || '').split('.');
+  return !!signature && Number(expires) > Date.now() && safeEqual(signature, sign(expires));
+}
+
+/**
+ * Express middleware for /api: 401 unless authenticated or the route is public
+ */
+export function requireAuth(req, res, next) {
+  if (PUBLIC_PATHS.includes(req.path) || isAuthenticated(req)) {
+    return next();
+  }
+  res.status(401).json({ error: 'Authentication required' });
+}
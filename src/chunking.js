@@ -0,0 +1,144 @@
+/**
+ * Transcript chunking for long meetings
+ *
+ * Splits a transcript into chunks that fit the extraction budget, breaking
+ * only between speaker turns (or lines and sentences when a single turn is
+ * too long), with a configurable overlap so commitments spanning a chunk
+ * boundary are still seen whole by one of the chunks.
+ */
+
+/**
+ * Format a segment start time as [HH:MM:SS] if it is a parseable timestamp
+ */
+function formatTime(startTime) {
+  if (!startTime) return '';
+  const date = new Date(startTime);
+  if (isNaN(date)) return '';
+  return `[${date.toISOString().substring(11, 19)}] `;
+}
+
+/**
+ * Merge consecutive segments from the same speaker into turns
+ */
+function toTurns(segments) {
+  const turns = [];
+
+  for (const segment of segments) {
+    const last = turns[turns.length - 1];
+    if (last && segment.speaker && last.speaker === segment.speaker) {
+      last.text += ` ${segment.text}`;
+    } else {
+      turns.push({ ...segment });
+    }
+  }
+
+  return turns.map(turn => ({
+    startTime: turn.startTime,
+    text: `${formatTime(turn.startTime)}${turn.speaker ? `${turn.speaker}: ` : ''}${turn.text}`,
+  }));
+}
+
+/**
+ * Split text that is longer than the chunk size on sentence boundaries,
+ * falling back to a hard split for run-on text
+ */
+function splitLongText(text, chunkSize) {
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of text.match(/[^.!?]+[.!?]*\s*/g) || [text]) {
+    if (current && current.length + sentence.length > chunkSize) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+
+    while (current.length > chunkSize) {
+      pieces.push(current.slice(0, chunkSize));
+      current = current.slice(chunkSize);
+    }
+  }
+
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+
+  return pieces;
+}
+
+/**
+ * Get the transcript as a list of { text, startTime } units to chunk on
+ */
+function getUnits(meeting, chunkSize) {
+  const units = meeting.transcriptSegments?.length
+    ? toTurns(meeting.transcriptSegments)
+    : (meeting.transcript || '')
+      .split('\n')
+      .map(line => ({ text: line.trim(), startTime: null }))
+      .filter(line => line.text);
+
+  return units.flatMap(unit => (
+    unit.text.length > chunkSize
+      ? splitLongText(unit.text, chunkSize).map(text => ({ text, startTime: unit.startTime }))
+      : [unit]
+  ));
+}
+
+/**
+ * Split a meeting's transcript into overlapping chunks
+ * @param {Object} meeting - Normalized meeting (see granola.js)
+ * @param {Object} options - { chunkSize, chunkOverlap } in characters
+ * @returns {Array<{ index, text, startTime }>}
+ */
+export function chunkTranscript(meeting, { chunkSize, chunkOverlap }) {
+  const overlap = Math.min(chunkOverlap, Math.floor(chunkSize / 2));
+  const units = getUnits(meeting, chunkSize);
+  const chunks = [];
+
+  let current = [];
+  let length = 0;
+  let hasNewUnits = false;
+
+  const flush = () => {
+    chunks.push({
+      index: chunks.length,
+      text: current.map(u => u.text).join('\n'),
+      startTime: current[0].startTime,
+    });
+
+    // Carry trailing units over as context for the next chunk
+    const carried = [];
+    let carriedLength = 0;
+    for (let i = current.length - 1; i > 0; i--) {
+      if (carriedLength + current[i].text.length > overlap) break;
+      carried.unshift(current[i]);
+      carriedLength += current[i].text.length + 1;
+    }
+
+    current = carried;
+    length = carriedLength;
+    hasNewUnits = false;
+  };
+
+  for (const unit of units) {
+    if (current.length > 0 && length + unit.text.length > chunkSize) {
+      if (hasNewUnits) {
+        flush();
+      }
+      // Drop the overlap if it leaves no room for the next unit
+      if (length + unit.text.length > chunkSize) {
+        current = [];
+        length = 0;
+      }
+    }
+    current.push(unit);
+    length += unit.text.length + 1;
+    hasNewUnits = true;
+  }
+
+  if (hasNewUnits) {
+    flush();
+  }
+
+  return chunks;
+}
@@ -26,26 +26,50 @@ function getGranolaCachePath() {
 }
 
 export const CONFIG = {
+  llmProvider: process.env.LLM_PROVIDER || 'anthropic',
+  llmModel: process.env.LLM_MODEL || null,
+  llmBaseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+  openaiApiKey: process.env.OPENAI_API_KEY,
   linearApiKey: process.env.LINEAR_API_KEY,
   linearTeamId: process.env.LINEAR_TEAM_ID || null,
+  linearWebhookSecret: process.env.LINEAR_WEBHOOK_SECRET || null,
   port: parseInt(process.env.PORT || '3847', 10),
+  host: process.env.HOST || '127.0.0.1', // 0.0.0.0 to accept connections from other machines
+  apiToken: process.env.API_TOKEN || null, // generated on first run if not set
+  corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
   granolaCachePath: getGranolaCachePath(),
   pollInterval: parseInt(process.env.POLL_INTERVAL || '30', 10) * 1000,
+  processMeetingsAfter: process.env.PROCESS_MEETINGS_AFTER || null, // YYYY-MM-DD, overridden in settings
+  syncInterval: parseInt(process.env.LINEAR_SYNC_INTERVAL || '300', 10) * 1000, // 0 disables
+  maxProcessingAttempts: parseInt(process.env.MAX_PROCESSING_ATTEMPTS || '5', 10),
+  retryDelay: parseInt(process.env.RETRY_DELAY || '60', 10) * 1000, // doubles after each failed attempt
   dataDir: join(process.cwd(), 'data'),
 };
 
-export function validateConfig() {
+/**
+ * Validate required configuration
+ * @param {Object} settings - Stored settings, which may select another LLM provider
+ */
+export function validateConfig(settings = {}) {
   const errors = [];
+  const llmProvider = settings.llmProvider || CONFIG.llmProvider;
 
-  if (!CONFIG.anthropicApiKey) {
-    errors.push('ANTHROPIC_API_KEY is required');
+  // Only the Anthropic provider needs a key; OpenAI-compatible local endpoints often don't
+  if (llmProvider === 'anthropic' && !CONFIG.anthropicApiKey) {
+    errors.push('ANTHROPIC_API_KEY is required (or set LLM_PROVIDER=offline)');
   }
 
   if (!CONFIG.linearApiKey) {
     errors.push('LINEAR_API_KEY is required');
   }
 
+  // An unparseable cutoff would silently skip nothing, and backfill the whole history
+  const cutoff = CONFIG.processMeetingsAfter;
+  if (cutoff && (!/^\d{4}-\d{2}-\d{2}$/.test(cutoff) || isNaN(new Date(cutoff)))) {
+    errors.push(`PROCESS_MEETINGS_AFTER must be a date as YYYY-MM-DD (got "${cutoff}")`);
+  }
+
   if (!existsSync(CONFIG.granolaCachePath)) {
     console.warn(`⚠️  Granola cache not found at: ${CONFIG.granolaCachePath}`);
     console.warn('   Make sure Granola is installed and has recorded at least one meeting.');
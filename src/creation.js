@@ -0,0 +1,249 @@
+/**
+ * Issue creation pipeline
+ *
+ * Creates Linear issues for action items with bounded concurrency. Each item
+ * gets an idempotency reference stored before Linear is called (see
+ * store.beginIssueCreation), so retrying after a crash or timeout adopts the
+ * issue an earlier attempt created instead of creating a duplicate.
+ *
+ * Before the first attempt, the target team's open issues are searched for
+ * similar titles; likely duplicates stop creation until the reviewer decides
+ * (see resolveDuplicate).
+ *
+ * In 'meeting_parent' mode, each meeting gets one parent issue (created on
+ * first use and remembered in processedMeetings) and its action items become
+ * sub-issues of it.
+ */
+
+import {
+  createIssue,
+  createMeetingParentIssue,
+  findSimilarIssues,
+  linkRelatedIssue,
+  commentOnIssue,
+} from './linear.js';
+import * as store from './store.js';
+
+export const DEFAULT_CREATION_CONCURRENCY = 3;
+
+export const DUPLICATE_ACTIONS = ['create', 'skip', 'link', 'comment'];
+
+export const CREATION_MODES = ['flat', 'meeting_parent'];
+
+// Parent issues being created, so concurrent items of a meeting share one
+const parentRequests = new Map();
+
+/**
+ * Get the meeting's parent issue, creating it on first use
+ */
+async function ensureMeetingParent(item, teamId, settings) {
+  const existing = store.getMeetingParentIssue(item.meetingId);
+  if (existing) {
+    return existing;
+  }
+
+  if (!parentRequests.has(item.meetingId)) {
+    const request = (async () => {
+      const creationRef = store.beginMeetingParentCreation(item.meetingId);
+      const processed = store.getProcessedMeeting(item.meetingId) || {};
+      const issue = await createMeetingParentIssue({
+        id: item.meetingId,
+        title: item.meetingTitle,
+        date: item.meetingDate,
+        participants: item.meetingParticipants,
+        decisions: processed.summary?.decisions,
+      }, teamId, settings, creationRef);
+
+      console.log(`  📁 Parent issue ${issue.identifier} for "${item.meetingTitle}"`);
+      return store.setMeetingParentIssue(item.meetingId, issue);
+    })().finally(() => parentRequests.delete(item.meetingId));
+
+    parentRequests.set(item.meetingId, request);
+  }
+
+  return parentRequests.get(item.meetingId);
+}
+
+/**
+ * Search for likely duplicates unless the check is off, already resolved,
+ * or an earlier attempt already started creating the issue
+ */
+async function checkDuplicates(item, teamId, settings) {
+  if (settings.duplicateDetection === false || item.duplicateResolution || item.creationRef) {
+    return [];
+  }
+
+  const candidates = await findSimilarIssues(item, teamId, settings);
+  store.updateActionItem(item.id, {
+    duplicateCandidates: candidates,
+    duplicateCheckedAt: new Date().toISOString(),
+  });
+  return candidates;
+}
+
+/**
+ * Create the Linear issue for one action item and record it
+ * @param {Object} options - { source: who asked, for the item's history }
+ * @returns {Object} { actionItemId, success, status: 'created' | 'adopted' | 'duplicate' | 'failed',
+ *   issue?, candidates?, retries, error? }
+ */
+export async function createIssueForItem(item, teamId = null, settings = {}, { source = 'ui' } = {}) {
+  let retries = 0;
+
+  // Checked before calling Linear, so an issue is never created for an item that cannot be marked created
+  if (item.status !== 'approved') {
+    return {
+      actionItemId: item.id,
+      success: false,
+      status: 'failed',
+      retries,
+      error: 'Only approved items can be created in Linear',
+    };
+  }
+
+  try {
+    const candidates = await checkDuplicates(item, teamId, settings);
+    if (candidates.length > 0) {
+      return {
+        actionItemId: item.id,
+        success: false,
+        status: 'duplicate',
+        candidates,
+        retries,
+        error: `Possible duplicate of ${candidates.map(c => c.identifier).join(', ')}`,
+      };
+    }
+
+    const parent = settings.creationMode === 'meeting_parent'
+      ? await ensureMeetingParent(item, teamId, settings)
+      : null;
+
+    const prepared = store.beginIssueCreation(item.id) || item;
+    const { adopted, ...issue } = await createIssue(prepared, teamId, settings, {
+      parentId: parent?.id,
+      onRetry: () => {
+        retries++;
+      },
+    });
+
+    if (parent) {
+      issue.parentIssue = { id: parent.id, identifier: parent.identifier, url: parent.url };
+    }
+    store.markAsCreated(item.id, issue, source);
+
+    return {
+      actionItemId: item.id,
+      success: true,
+      status: adopted ? 'adopted' : 'created',
+      issue,
+      retries,
+    };
+  } catch (error) {
+    return {
+      actionItemId: item.id,
+      success: false,
+      status: 'failed',
+      retries,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Create issues for several action items, a few at a time
+ * @param {Object} options - { teamId, settings, concurrency, source, onProgress(result, done, total) }
+ * @returns {Array} Per-item results in the order of the input
+ */
+export async function createIssuesForItems(items, options = {}) {
+  const { teamId = null, settings = {}, source = 'bulk', onProgress = null } = options;
+  const concurrency = Math.max(1, parseInt(options.concurrency ?? settings.creationConcurrency, 10) || DEFAULT_CREATION_CONCURRENCY);
+
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await createIssueForItem(items[index], teamId, settings, { source });
+      done++;
+
+      const result = results[index];
+      const label = result.issue ? result.issue.identifier : result.error;
+      console.log(`  [${done}/${items.length}] ${result.status}: ${items[index].title} (${label})`);
+      if (onProgress) onProgress(result, done, items.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  return results;
+}
+
+/**
+ * Count results by status
+ */
+export function summarizeResults(results) {
+  return {
+    total: results.length,
+    created: results.filter(r => r.status === 'created').length,
+    adopted: results.filter(r => r.status === 'adopted').length,
+    duplicates: results.filter(r => r.status === 'duplicate').length,
+    failed: results.filter(r => r.status === 'failed').length,
+  };
+}
+
+/**
+ * Comment posted on an existing issue instead of creating a duplicate
+ */
+function buildDuplicateComment(item) {
+  let body = `Came up again in **${item.meetingTitle}** (${new Date(item.meetingDate).toLocaleDateString()}): ${item.title}`;
+
+  if (item.description) {
+    body += `\n\n${item.description}`;
+  }
+  for (const citation of item.citations || []) {
+    body += `\n\n> "${citation.quote}"${citation.speaker ? ` — ${citation.speaker}` : ''}`;
+  }
+
+  return body;
+}
+
+/**
+ * Act on a reviewer's decision about likely duplicates
+ * @param {string} action - 'create' (anyway), 'skip', 'link' (create and relate) or 'comment' (on the existing issue)
+ * @param {string} issueId - The existing issue, for skip, link and comment
+ * @returns {Object} A createIssueForItem-style result
+ */
+export async function resolveDuplicate(item, action, issueId, teamId = null, settings = {}) {
+  const existing = (item.duplicateCandidates || []).find(c => c.id === issueId);
+  if (action !== 'create' && !existing) {
+    throw new Error(`Issue ${issueId} is not a duplicate candidate of this item`);
+  }
+
+  const resolution = { action, issueId: existing?.id || null, identifier: existing?.identifier || null };
+
+  if (action === 'skip') {
+    store.updateActionItem(item.id, { duplicateResolution: resolution, duplicateOf: existing });
+    store.rejectActionItem(item.id, 'ui');
+    return { actionItemId: item.id, success: true, status: 'skipped', issue: existing, retries: 0 };
+  }
+
+  if (action === 'comment') {
+    await commentOnIssue(existing.id, buildDuplicateComment(item));
+    store.updateActionItem(item.id, { duplicateResolution: resolution, duplicateOf: existing });
+    const issue = { id: existing.id, identifier: existing.identifier, title: existing.title, url: existing.url, linkedVia: 'comment' };
+    store.markAsCreated(item.id, issue, 'ui');
+    return { actionItemId: item.id, success: true, status: 'commented', issue, retries: 0 };
+  }
+
+  const updated = store.updateActionItem(item.id, { duplicateResolution: resolution });
+  const result = await createIssueForItem(updated, teamId, settings);
+
+  if (result.success && action === 'link') {
+    await linkRelatedIssue(result.issue.id, existing.id);
+    return { ...result, relatedTo: existing };
+  }
+
+  return result;
+}
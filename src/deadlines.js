@@ -0,0 +1,255 @@
+/**
+ * Natural-language deadline parsing
+ *
+ * Resolves deadlines as spoken in meetings ("by Friday", "end of next week",
+ * "Q3", "March 15th") against the meeting's own date, in a configurable
+ * timezone and week start, into an ISO due date (YYYY-MM-DD). Sprint and
+ * cycle references resolve to { cycle: 'current' | 'next' } so they can be
+ * mapped to the team's Linear cycles instead.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, few: 3,
+};
+
+const WEEKDAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|wed|thurs|thur|thu|fri|sat)';
+const MONTH = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)';
+
+export const DEFAULT_DEADLINE_SETTINGS = {
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  weekStartsOn: 1, // 0 = Sunday, 1 = Monday
+};
+
+// ---- Calendar dates are handled as UTC midnight Date objects ----
+
+function calendarDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function lastDayOfMonth(year, month) {
+  return calendarDate(year, month + 1, 0);
+}
+
+/**
+ * The same day of the month some months later, or that month's last day if it is shorter
+ */
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  return calendarDate(year, month, Math.min(date.getUTCDate(), lastDayOfMonth(year, month).getUTCDate()));
+}
+
+function toIsoDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * The calendar date of an instant in the given timezone
+ */
+function dateInTimeZone(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(instant);
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  return calendarDate(get('year'), get('month') - 1, get('day'));
+}
+
+function startOfWeek(date, weekStartsOn) {
+  const offset = (date.getUTCDay() - weekStartsOn + 7) % 7;
+  return addDays(date, -offset);
+}
+
+/**
+ * Last working day (Friday) of the week containing date,
+ * or the last day of that week if Friday has already passed
+ */
+function endOfWorkWeek(date, weekStartsOn) {
+  const start = startOfWeek(date, weekStartsOn);
+  for (let i = 0; i < 7; i++) {
+    const day = addDays(start, i);
+    if (day.getUTCDay() === 5 && day >= date) return day;
+  }
+  return addDays(start, 6);
+}
+
+/**
+ * Next occurrence of a weekday on or after date
+ */
+function upcomingWeekday(date, weekday) {
+  return addDays(date, (weekday - date.getUTCDay() + 7) % 7);
+}
+
+function weekdayIndex(name) {
+  return WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().substring(0, 3)));
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().substring(0, 3)));
+}
+
+function parseCount(value) {
+  value = value.replace(/^a | of$/g, ''); // "a couple of" -> "couple"
+  return NUMBER_WORDS[value] || parseInt(value, 10);
+}
+
+function endOfQuarter(year, quarter) {
+  return lastDayOfMonth(year, quarter * 3 - 1);
+}
+
+/**
+ * A calendar date, or null if the month or day is out of range
+ * (calendarDate would roll "13/45" over into a real date)
+ */
+function validDate(year, month, day) {
+  if (month < 0 || month > 11 || day < 1 || day > lastDayOfMonth(year, month).getUTCDate()) {
+    return null;
+  }
+  return calendarDate(year, month, day);
+}
+
+/**
+ * Use this year for a month/day, or next year if it has already passed
+ */
+function nextOccurrence(ref, month, day) {
+  const date = validDate(ref.getUTCFullYear(), month, day);
+  return date && date < ref ? validDate(ref.getUTCFullYear() + 1, month, day) : date;
+}
+
+// Each rule maps a regex match to a date (or a cycle reference); the first
+// matching rule decides, and null means the text names an impossible date
+const RULES = [
+  [/^(\d{4})-(\d{2})-(\d{2})/, (m) => validDate(+m[1], m[2] - 1, +m[3])],
+  [/\b(?:next|upcoming) (?:sprint|cycle)\b|\bend of (?:the )?next (?:sprint|cycle)\b/, () => ({ cycle: 'next' })],
+  [/\b(?:(?:this|current) |end of (?:the )?(?:current )?)(?:sprint|cycle)\b/, () => ({ cycle: 'current' })],
+  [/\b(?:today|tonight|eod|end of (?:the )?day|close of business|cob)\b/, (m, ref) => ref],
+  [/\bday after tomorrow\b/, (m, ref) => addDays(ref, 2)],
+  [/\btomorrow\b/, (m, ref) => addDays(ref, 1)],
+  [/\b(?:in|within) (?:the next )?(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|(?:a )?couple(?: of)?|(?:a )?few) (day|week|month)s?\b|\b(\d+) (day|week|month)s? from (?:now|today)\b/, (m, ref) => {
+    const count = parseCount(m[1] || m[3]);
+    const unit = m[2] || m[4];
+    if (unit === 'day') return addDays(ref, count);
+    if (unit === 'week') return addDays(ref, count * 7);
+    return addMonths(ref, count);
+  }],
+  [new RegExp(`\\b${WEEKDAY} (?:of )?next week\\b`), (m, ref, opts) => {
+    const nextWeek = addDays(startOfWeek(ref, opts.weekStartsOn), 7);
+    return upcomingWeekday(nextWeek, weekdayIndex(m[1]));
+  }],
+  [/\b(?:end of (?:the )?next week|next week)\b/, (m, ref, opts) => endOfWorkWeek(addDays(startOfWeek(ref, opts.weekStartsOn), 7), opts.weekStartsOn)],
+  [/\b(?:end of (?:the )?week|this week|eow)\b/, (m, ref, opts) => endOfWorkWeek(ref, opts.weekStartsOn)],
+  [new RegExp(`\\bnext ${WEEKDAY}\\b`), (m, ref, opts) => {
+    const nextWeek = addDays(startOfWeek(ref, opts.weekStartsOn), 7);
+    return upcomingWeekday(nextWeek, weekdayIndex(m[1]));
+  }],
+  [new RegExp(`\\b(?:this |on |by )?${WEEKDAY}\\b`), (m, ref) => upcomingWeekday(ref, weekdayIndex(m[1]))],
+  [/\b(?:end of (?:the )?next month|next month)\b/, (m, ref) => lastDayOfMonth(ref.getUTCFullYear(), ref.getUTCMonth() + 1)],
+  [/\b(?:end of (?:the )?month|this month|eom)\b/, (m, ref) => lastDayOfMonth(ref.getUTCFullYear(), ref.getUTCMonth())],
+  [/\b(?:end of (?:the )?next quarter|next quarter)\b/, (m, ref) => {
+    const quarter = Math.floor(ref.getUTCMonth() / 3) + 2;
+    return quarter > 4 ? endOfQuarter(ref.getUTCFullYear() + 1, 1) : endOfQuarter(ref.getUTCFullYear(), quarter);
+  }],
+  [/\b(?:end of (?:the )?quarter|this quarter|eoq)\b/, (m, ref) => endOfQuarter(ref.getUTCFullYear(), Math.floor(ref.getUTCMonth() / 3) + 1)],
+  [/\bq([1-4])(?:\s*(?:of\s*)?'?(\d{2}|\d{4}))?\b/, (m, ref) => {
+    const quarter = +m[1];
+    if (m[2]) {
+      return endOfQuarter(m[2].length === 2 ? 2000 + +m[2] : +m[2], quarter);
+    }
+    const date = endOfQuarter(ref.getUTCFullYear(), quarter);
+    return date < ref ? endOfQuarter(ref.getUTCFullYear() + 1, quarter) : date;
+  }],
+  [/\b(?:end of (?:the )?year|this year|eoy)\b/, (m, ref) => calendarDate(ref.getUTCFullYear(), 11, 31)],
+  [new RegExp(`\\b${MONTH}\\.? (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?\\b`), (m, ref) => (
+    m[3] ? validDate(+m[3], monthIndex(m[1]), +m[2]) : nextOccurrence(ref, monthIndex(m[1]), +m[2])
+  )],
+  [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH}(?:,? (\\d{4}))?\\b`), (m, ref) => (
+    m[3] ? validDate(+m[3], monthIndex(m[2]), +m[1]) : nextOccurrence(ref, monthIndex(m[2]), +m[1])
+  )],
+  [/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/, (m, ref) => {
+    if (!m[3]) return nextOccurrence(ref, m[1] - 1, +m[2]);
+    return validDate(m[3].length === 2 ? 2000 + +m[3] : +m[3], m[1] - 1, +m[2]);
+  }],
+  [new RegExp(`(?:^|\\bend of |\\bby |\\bin |\\bbefore |\\buntil )${MONTH}\\b`), (m, ref) => {
+    const month = monthIndex(m[1]);
+    const date = lastDayOfMonth(ref.getUTCFullYear(), month);
+    return date < ref ? lastDayOfMonth(ref.getUTCFullYear() + 1, month) : date;
+  }],
+];
+
+/**
+ * Parse a free-text deadline
+ * @param {string} text - Deadline as mentioned in the meeting
+ * @param {Object} options - { referenceDate, timeZone, weekStartsOn }
+ * @returns {Object|null} { dueDate: 'YYYY-MM-DD' }, { cycle: 'current' | 'next' }, or null if unparseable
+ */
+export function parseDeadline(text, options = {}) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const opts = { ...DEFAULT_DEADLINE_SETTINGS, ...options };
+  const weekStartsOn = parseInt(opts.weekStartsOn, 10);
+  opts.weekStartsOn = isNaN(weekStartsOn) ? DEFAULT_DEADLINE_SETTINGS.weekStartsOn : weekStartsOn;
+
+  const instant = opts.referenceDate ? new Date(opts.referenceDate) : new Date();
+  if (isNaN(instant)) {
+    return null;
+  }
+
+  let ref;
+  try {
+    ref = dateInTimeZone(instant, opts.timeZone);
+  } catch (error) {
+    // Unknown timezone name
+    ref = dateInTimeZone(instant, 'UTC');
+  }
+
+  const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+  for (const [pattern, resolve] of RULES) {
+    const match = normalized.match(pattern);
+    if (!match) continue;
+
+    const result = resolve(match, ref, opts);
+    if (result && result.cycle) {
+      return result;
+    }
+    return result instanceof Date && !isNaN(result) ? { dueDate: toIsoDate(result) } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse an action item's deadline against its meeting date
+ * Returns the fields to store on the item.
+ */
+export function parseItemDeadline(item, settings = {}) {
+  if (!item.deadline) {
+    return { dueDate: null, deadlineCycle: null, deadlineUnparsed: false };
+  }
+
+  const parsed = parseDeadline(item.deadline, {
+    referenceDate: item.meetingDate,
+    timeZone: settings.timeZone || DEFAULT_DEADLINE_SETTINGS.timeZone,
+    weekStartsOn: settings.weekStartsOn ?? DEFAULT_DEADLINE_SETTINGS.weekStartsOn,
+  });
+
+  return {
+    dueDate: parsed?.dueDate || null,
+    deadlineCycle: parsed?.cycle || null,
+    deadlineUnparsed: !parsed,
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Event bus for live updates
+ *
+ * The store publishes changes once their transaction commits, the job queue
+ * publishes job progress, the watcher publishes processing errors and bulk
+ * issue creation publishes each item's result as it finishes.
+ * GET /api/events relays every event to the web UI as Server-Sent Events.
+ */
+
+import { EventEmitter } from 'events';
+
+export const EVENT_TYPES = [
+  'meeting-processed',
+  'item-extracted',
+  'item-status-changed',
+  'issue-created',
+  'processing-error',
+  'job-updated',
+  'creation-progress',
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open browser tab
+
+let lastEventId = 0;
+
+/**
+ * Publish an event to all subscribers
+ * @param {string} type - One of EVENT_TYPES
+ */
+export function publish(type, data) {
+  const event = { id: ++lastEventId, type, data, at: new Date().toISOString() };
+  bus.emit('event', event);
+  return event;
+}
+
+/**
+ * Receive every published event
+ * @returns {Function} Unsubscribes
+ */
+export function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
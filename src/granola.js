@@ -117,11 +117,13 @@ function normalizeMeeting(doc, externalTranscript = null) {
 
   // Extract transcript - check external transcript first (from state.transcripts)
   let transcript = '';
+  let transcriptSegments = [];
   if (externalTranscript && Array.isArray(externalTranscript)) {
     transcript = externalTranscript
       .map(t => t.text || '')
       .filter(Boolean)
       .join(' ');
+    transcriptSegments = normalizeSegments(externalTranscript);
   } else if (doc.transcript) {
     if (typeof doc.transcript === 'string') {
       transcript = doc.transcript;
@@ -129,11 +131,13 @@ function normalizeMeeting(doc, externalTranscript = null) {
       transcript = doc.transcript
         .map(t => `${t.speaker || 'Speaker'}: ${t.text || t.content || ''}`)
         .join('\n');
+      transcriptSegments = normalizeSegments(doc.transcript);
     }
   } else if (doc.transcripts && Array.isArray(doc.transcripts)) {
     transcript = doc.transcripts
       .map(t => `${t.speaker || 'Speaker'}: ${t.text || t.content || ''}`)
       .join('\n');
+    transcriptSegments = normalizeSegments(doc.transcripts);
   }
 
   // Extract participants from calendar event or people
@@ -161,11 +165,33 @@ function normalizeMeeting(doc, externalTranscript = null) {
     date,
     notes,
     transcript,
+    transcriptSegments,
     participants,
     raw: doc, // Keep raw data for debugging
   };
 }
 
+/**
+ * Normalize transcript entries to { speaker, text, startTime } segments
+ * Granola's own transcripts mark the speaker by audio source: the
+ * microphone is the note taker, system audio is everyone else.
+ */
+function normalizeSegments(entries) {
+  return entries
+    .map(t => {
+      let speaker = t.speaker || null;
+      if (!speaker && t.source === 'microphone') speaker = 'Me';
+      if (!speaker && t.source === 'system') speaker = 'Them';
+
+      return {
+        speaker,
+        text: (t.text || t.content || '').trim(),
+        startTime: t.start_timestamp || t.startTime || t.timestamp || null,
+      };
+    })
+    .filter(t => t.text);
+}
+
 function generateId() {
   return `meeting_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
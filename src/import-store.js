@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Import a store.json written by earlier versions into the SQLite store
+ *
+ * Usage: npm run store:import -- path/to/store.json
+ *
+ * data/store.json is imported automatically on first start; use this for
+ * stores kept elsewhere, e.g. a backup or another machine's data directory.
+ */
+
+import { existsSync } from 'fs';
+import { config } from 'dotenv';
+
+config();
+
+const file = process.argv[2];
+
+if (!file) {
+  console.error('Usage: npm run store:import -- <store.json>');
+  process.exit(1);
+}
+if (!existsSync(file)) {
+  console.error(`File not found: ${file}`);
+  process.exit(1);
+}
+
+const { importJsonStore } = await import('./store.js');
+
+try {
+  const counts = importJsonStore(file);
+  console.log(`📦 Imported ${counts.actionItems} action item(s) and ${counts.meetings} meeting(s) from ${file}`);
+} catch (error) {
+  console.error(`Import failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,83 @@
+/**
+ * Changes to issues that were already created
+ *
+ * Edits to a created action item are pushed to its Linear issue. Each issue
+ * keeps a baseline of its fields as Linear stored them after our last write;
+ * if a field we are about to overwrite no longer matches it, someone changed
+ * it in Linear and the push is refused as a conflict unless forced.
+ */
+
+import { buildIssuePayload, fetchIssueFields, updateIssue, archiveIssue } from './linear.js';
+import * as store from './store.js';
+
+// Action item edits that can change the Linear issue
+export const PUSHED_FIELDS = ['title', 'description', 'priority', 'assigneeId', 'dueDate'];
+
+const normalize = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value ?? null);
+
+/**
+ * The values of the pushed fields an action item produces
+ */
+async function getIssueFields(item, settings) {
+  const { payload } = await buildIssuePayload(item, null, settings);
+  return Object.fromEntries(PUSHED_FIELDS.map(field => [field, payload[field] ?? null]));
+}
+
+/**
+ * Push an edit of a created action item to its Linear issue
+ * Not for items linked to an existing issue (linkedVia): that issue is not ours to edit.
+ * @param {Object} item - The item as stored (before the edit)
+ * @param {Object} edited - The item with the edit applied
+ * @param {Object} options - { force: overwrite fields changed in Linear }
+ * @returns {Object} { pushed: [fields], baseline } or { conflicts: [{ field, linear, local }] }
+ */
+export async function pushItemEdits(item, edited, settings = {}, { force = false } = {}) {
+  const before = await getIssueFields(item, settings);
+  const after = await getIssueFields(edited, settings);
+  const changed = PUSHED_FIELDS.filter(field => normalize(before[field]) !== normalize(after[field]));
+
+  if (changed.length === 0) {
+    return { pushed: [], baseline: item.linearIssue.baseline || null };
+  }
+
+  const current = await fetchIssueFields(item.linearIssue.id);
+  if (!current) {
+    throw new Error(`${item.linearIssue.identifier} no longer exists in Linear`);
+  }
+
+  // Issues created before baselines were recorded compare against what the item produced
+  const baseline = item.linearIssue.baseline || before;
+  const conflicts = changed
+    .filter(field => normalize(current.baseline[field]) !== normalize(baseline[field]))
+    .map(field => ({ field, linear: current.baseline[field], local: after[field] }));
+
+  if (conflicts.length > 0 && !force) {
+    return { conflicts };
+  }
+
+  const input = Object.fromEntries(changed.map(field => [field, after[field]]));
+  const updated = await updateIssue(item.linearIssue.id, input);
+
+  // Only the pushed fields move the baseline: other fields changed in Linear still count as conflicts later
+  const pushedValues = Object.fromEntries(changed.map(field => [field, (updated || current).baseline[field]]));
+
+  console.log(`✏️ Updated ${changed.join(', ')} of ${item.linearIssue.identifier}`);
+  return {
+    pushed: changed,
+    baseline: { ...baseline, ...pushedValues, updatedAt: (updated || current).baseline.updatedAt },
+  };
+}
+
+/**
+ * Undo the creation of an action item's issue: archive it in Linear and
+ * return the item to approved. Items added as a comment on an existing issue
+ * are only unlinked, since that issue is not ours to archive.
+ */
+export async function undoIssueCreation(item) {
+  if (!item.linearIssue.linkedVia) {
+    await archiveIssue(item.linearIssue.id);
+    console.log(`↩️ Archived ${item.linearIssue.identifier}`);
+  }
+
+  return store.detachLinearIssue(item.id, 'ui');
+}
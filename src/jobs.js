@@ -0,0 +1,173 @@
+/**
+ * Background job queue
+ *
+ * Meeting processing runs here instead of inside the request or watcher tick
+ * that asked for it: callers enqueue a job and get its ID back immediately,
+ * then poll GET /api/jobs/:id (or follow job-updated events).
+ *
+ * Jobs for the same meeting run one after another; up to
+ * MAX_CONCURRENT_JOBS run at once. A job's work receives an AbortSignal,
+ * which cancelJob triggers. Jobs are kept in memory: the most recent finished
+ * ones stay available for polling, and nothing is resumed after a restart
+ * (the watcher finds unprocessed meetings again).
+ */
+
+import { randomUUID } from 'crypto';
+import { publish } from './events.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// LLM calls are slow but mostly waiting, so a couple can overlap
+const MAX_CONCURRENT_JOBS = 2;
+
+// Finished jobs kept for polling
+const MAX_FINISHED_JOBS = 100;
+
+// Jobs by ID, in the order they were enqueued
+const jobs = new Map();
+
+// Work and abort controllers of unfinished jobs, by job ID
+const pending = new Map();
+
+const isActive = job => ACTIVE_STATUSES.includes(job.status);
+
+function update(job, changes) {
+  Object.assign(job, changes);
+  publish('job-updated', { ...job });
+}
+
+function pruneFinished() {
+  const finished = [...jobs.values()].filter(job => !isActive(job));
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Start queued jobs while there is capacity, skipping meetings that already
+ * have a job running
+ */
+function runQueued() {
+  const running = [...jobs.values()].filter(job => job.status === 'running');
+  const busyMeetings = new Set(running.map(job => job.meetingId));
+
+  for (const job of jobs.values()) {
+    if (running.length >= MAX_CONCURRENT_JOBS) {
+      break;
+    }
+    if (job.status !== 'queued' || busyMeetings.has(job.meetingId)) {
+      continue;
+    }
+
+    running.push(job);
+    busyMeetings.add(job.meetingId);
+    runJob(job);
+  }
+}
+
+async function runJob(job) {
+  const { work, controller } = pending.get(job.id);
+  update(job, { status: 'running', startedAt: new Date().toISOString() });
+
+  try {
+    const result = await work(controller.signal);
+    update(job, { status: 'succeeded', result, finishedAt: new Date().toISOString() });
+  } catch (error) {
+    // The work logs its own errors; the job keeps the message for polling
+    const cancelled = controller.signal.aborted;
+    update(job, {
+      status: cancelled ? 'cancelled' : 'failed',
+      error: cancelled ? 'Cancelled' : error.message,
+      finishedAt: new Date().toISOString(),
+    });
+  } finally {
+    pending.delete(job.id);
+    pruneFinished();
+    runQueued();
+  }
+}
+
+/**
+ * Queue work for a meeting
+ * A job of the same type already queued for the meeting is returned instead
+ * of queueing the work twice.
+ * @param {string} type - e.g. 'process-meeting'
+ * @param {Object} details - { meetingId, title, source (see store HISTORY_SOURCES) }
+ * @param {Function} work - async (signal) => result
+ * @returns {Object} The job
+ */
+export function enqueueJob(type, { meetingId, title = null, source = 'system' }, work) {
+  const queued = [...jobs.values()].find(job => job.type === type && job.meetingId === meetingId && job.status === 'queued');
+  if (queued) {
+    return queued;
+  }
+
+  const job = {
+    id: randomUUID(),
+    type,
+    meetingId,
+    title,
+    source,
+    status: 'queued',
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  pending.set(job.id, { work, controller: new AbortController() });
+  publish('job-updated', { ...job });
+
+  runQueued();
+  return job;
+}
+
+/**
+ * Get a job by ID
+ */
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { status (string or list), meetingId }
+ */
+export function listJobs({ status, meetingId } = {}) {
+  const statuses = status ? [].concat(status) : null;
+  return [...jobs.values()]
+    .filter(job => (!statuses || statuses.includes(job.status)) && (!meetingId || job.meetingId === meetingId))
+    .reverse();
+}
+
+/**
+ * The queued or running job for a meeting, if any
+ */
+export function getActiveJob(meetingId) {
+  return [...jobs.values()].find(job => job.meetingId === meetingId && isActive(job)) || null;
+}
+
+/**
+ * Cancel a queued or running job
+ * A running job stops at its next cancellation check; work it already saved is kept.
+ * @returns {Object} { job } or { error } if it already finished; null if it does not exist
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return null;
+  }
+  if (!isActive(job)) {
+    return { error: `Job already ${job.status}` };
+  }
+
+  pending.get(id).controller.abort();
+  if (job.status === 'queued') {
+    pending.delete(id);
+    update(job, { status: 'cancelled', error: 'Cancelled', finishedAt: new Date().toISOString() });
+    pruneFinished();
+  }
+  return { job };
+}
@@ -1,8 +1,14 @@
 import { LinearClient } from '@linear/sdk';
 import { CONFIG } from './config.js';
+import { resolveAssignee, applyResolution } from './assignees.js';
+import { routeActionItem } from './routing.js';
+import { titleSimilarity } from './similarity.js';
+import { getMeetingById } from './granola.js';
+import { buildTemplateContext, getTemplate, renderTemplate, templateUses } from './templates.js';
 
 let linearClient = null;
 let cachedTeams = null;
+let cachedUsers = null;
 
 /**
  * Get or create Linear client
@@ -35,6 +41,44 @@ export async function getTeams() {
   return cachedTeams;
 }
 
+/**
+ * Get active users in the Linear workspace
+ */
+export async function getUsers() {
+  if (cachedUsers) {
+    return cachedUsers;
+  }
+
+  const client = getClient();
+  const users = await client.users({ first: 250 });
+  cachedUsers = users.nodes
+    .filter(user => user.active)
+    .map(user => ({
+      id: user.id,
+      name: user.name,
+      displayName: user.displayName,
+      email: user.email,
+    }));
+
+  return cachedUsers;
+}
+
+/**
+ * Resolve assignees of freshly extracted action items to Linear users
+ * Failing to reach Linear is not fatal: items are resolved again at creation time.
+ */
+export async function resolveAssignees(actionItems, settings = {}) {
+  let users;
+  try {
+    users = await getUsers();
+  } catch (error) {
+    console.warn(`Could not load Linear users, skipping assignee resolution: ${error.message}`);
+    return actionItems;
+  }
+
+  return actionItems.map(item => applyResolution(item, users, settings));
+}
+
 /**
  * Get team by ID or use configured default
  */
@@ -52,53 +96,278 @@ export async function getTeam(teamId = null) {
 }
 
 /**
- * Map priority string to Linear priority number
+ * Get the team's current or next cycle, or null if the team has none
+ * @param {string} which - 'current' or 'next'
  */
-function mapPriority(priority) {
-  const priorityMap = {
-    'High': 1,      // Urgent
-    'Medium': 2,    // High
-    'Low': 3,       // Medium
-  };
-  return priorityMap[priority] || 3;
+export async function getTeamCycle(teamId, which) {
+  const client = getClient();
+  const cycles = await client.cycles({
+    filter: {
+      team: { id: { eq: teamId } },
+      ...(which === 'current' ? { isActive: { eq: true } } : { isNext: { eq: true } }),
+    },
+  });
+
+  const cycle = cycles.nodes[0];
+  return cycle ? { id: cycle.id, number: cycle.number, endsAt: cycle.endsAt } : null;
 }
 
 /**
- * Create a Linear issue from an action item
+ * Get the Linear user ID to assign an action item to, resolving it now
+ * if it was not resolved when the item was extracted
  */
-export async function createIssue(actionItem, teamId = null) {
-  const client = getClient();
-  const team = await getTeam(teamId);
+async function getAssigneeId(actionItem, settings) {
+  if (actionItem.assigneeId) {
+    return actionItem.assigneeId;
+  }
+
+  if (actionItem.assigneeResolution) {
+    return null;
+  }
+
+  const resolution = resolveAssignee(actionItem.assignee, {
+    users: await getUsers(),
+    participants: actionItem.meetingParticipants,
+    aliases: settings.assigneeAliases,
+  });
+  return resolution.status === 'matched' ? resolution.userId : null;
+}
+
+/**
+ * Resolve a cycle setting ('current', 'next' or a cycle ID) to a cycle ID
+ */
+async function resolveCycleId(teamId, cycle) {
+  if (cycle === 'current' || cycle === 'next') {
+    const teamCycle = await getTeamCycle(teamId, cycle);
+    return teamCycle ? teamCycle.id : null;
+  }
+  return cycle;
+}
+
+/**
+ * Get the team an issue goes to: explicit team, then routing rule, then the default
+ */
+async function resolveTeam(routing, teamId, settings) {
+  const team = await getTeam(teamId || routing.set.teamId || settings.linearTeamId);
 
   if (!team) {
     throw new Error('No Linear team found. Please configure LINEAR_TEAM_ID in .env');
   }
 
-  // Build issue description with meeting context
-  let description = actionItem.description || '';
-  description += '\n\n---\n';
-  description += `📅 From meeting: **${actionItem.meetingTitle}**\n`;
-  description += `📆 Meeting date: ${new Date(actionItem.meetingDate).toLocaleDateString()}\n`;
+  return team;
+}
 
-  if (actionItem.assignee && actionItem.assignee !== 'Unassigned') {
-    description += `👤 Mentioned assignee: ${actionItem.assignee}\n`;
+/**
+ * Render the issue description from the team's template (see templates.js)
+ */
+export function renderDescription(actionItem, teamId, settings = {}, template = getTemplate(settings, teamId)) {
+  let meeting = null;
+  if (templateUses(template, 'notesExcerpt') && actionItem.meetingId) {
+    try {
+      meeting = getMeetingById(actionItem.meetingId);
+    } catch (error) {
+      console.warn(`Could not load meeting notes for the description: ${error.message}`);
+    }
   }
 
-  if (actionItem.deadline) {
-    description += `⏰ Deadline: ${actionItem.deadline}\n`;
-  }
+  return renderTemplate(template, buildTemplateContext(actionItem, meeting));
+}
 
-  description += '\n*Created automatically from Granola meeting notes*';
+/**
+ * Build the Linear issue payload for an action item, applying routing rules
+ * An explicit teamId wins over the routing rule, which wins over the default team.
+ * @param {Object} settings - Stored settings (routing, assignee aliases, cycle mapping)
+ * @returns {Object} { payload, team, rule } where rule is the routing rule that fired, if any
+ */
+export async function buildIssuePayload(actionItem, teamId = null, settings = {}) {
+  const routing = routeActionItem(actionItem, settings);
+  const team = await resolveTeam(routing, teamId, settings);
 
-  const issuePayload = {
+  const payload = {
     teamId: team.id,
     title: actionItem.title,
-    description: description,
-    priority: mapPriority(actionItem.priority),
+    description: renderDescription(actionItem, team.id, settings),
+    priority: routing.priority,
   };
 
-  try {
-    const issue = await client.createIssue(issuePayload);
+  if (routing.set.projectId) {
+    payload.projectId = routing.set.projectId;
+  }
+
+  if (routing.set.labelIds && routing.set.labelIds.length > 0) {
+    payload.labelIds = routing.set.labelIds;
+  }
+
+  if (routing.set.estimate !== undefined) {
+    payload.estimate = routing.set.estimate;
+  }
+
+  if (actionItem.dueDate) {
+    payload.dueDate = actionItem.dueDate;
+  }
+
+  // A rule's cycle wins; otherwise "next sprint" and the like map to the team's cycle when enabled
+  const cycle = routing.set.cycle || (settings.mapSprintToCycle ? actionItem.deadlineCycle : null);
+  if (cycle) {
+    const cycleId = await resolveCycleId(team.id, cycle);
+    if (cycleId) {
+      payload.cycleId = cycleId;
+    } else {
+      console.warn(`No ${cycle} cycle for team ${team.key}, leaving the issue outside cycles`);
+    }
+  }
+
+  // Only assign when the name was resolved unambiguously (or picked in review)
+  const assigneeId = await getAssigneeId(actionItem, settings);
+  if (assigneeId) {
+    payload.assigneeId = assigneeId;
+  }
+
+  return { payload, team, rule: routing.rule };
+}
+
+// Linear error types worth retrying; anything else (invalid input, auth) fails immediately
+const RETRYABLE_ERRORS = new Set(['Ratelimited', 'NetworkError', 'InternalError', 'LockTimeout']);
+
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+function isRetryable(error) {
+  return RETRYABLE_ERRORS.has(error.type) || (error.status >= 500 && error.status < 600);
+}
+
+/**
+ * How long to wait before retrying, honoring Linear's rate-limit headers
+ * (Retry-After in seconds, X-RateLimit-Requests-Reset as epoch milliseconds)
+ * and falling back to exponential backoff with jitter
+ */
+function getRetryDelay(error, attempt) {
+  const headers = error.raw?.response?.headers;
+  const retryAfter = parseFloat(headers?.get?.('retry-after'));
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+
+  const reset = parseInt(headers?.get?.('x-ratelimit-requests-reset'), 10);
+  if (error.type === 'Ratelimited' && reset > Date.now()) {
+    return Math.min(reset - Date.now(), MAX_RETRY_DELAY_MS);
+  }
+
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Run a Linear call, retrying rate-limit and transient errors with backoff
+ * @param {Function} onRetry - Called with (attempt, delayMs, error) before each retry
+ */
+export async function withRetry(fn, onRetry = null) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      console.warn(`Linear ${error.type || 'error'}: ${error.message}, retrying in ${Math.round(delay / 1000)}s`);
+      if (onRetry) onRetry(attempt + 1, delay, error);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+const ISSUE_BY_ID_QUERY = `
+  query IssueById($ids: [ID!]) {
+    issues(filter: { id: { in: $ids } }, includeArchived: true, first: 1) {
+      nodes {
+        id identifier title url description priority dueDate updatedAt archivedAt
+        team { key }
+        assignee { id }
+      }
+    }
+  }
+`;
+
+/**
+ * The editable fields of an issue as Linear stores them, used as the baseline
+ * to detect changes made in Linear since we last wrote to the issue
+ */
+function toBaseline(issue, assigneeId) {
+  return {
+    title: issue.title,
+    description: issue.description ?? null,
+    priority: issue.priority ?? null,
+    assigneeId: assigneeId ?? null,
+    dueDate: issue.dueDate ?? null,
+    updatedAt: issue.updatedAt instanceof Date ? issue.updatedAt.toISOString() : issue.updatedAt,
+  };
+}
+
+/**
+ * Find an issue by ID without throwing when it does not exist
+ */
+async function findIssue(issueId) {
+  const client = getClient();
+  const data = await client.client.request(ISSUE_BY_ID_QUERY, { ids: [issueId] });
+  const issue = data.issues.nodes[0];
+
+  return issue ? {
+    id: issue.id,
+    identifier: issue.identifier,
+    title: issue.title,
+    url: issue.url,
+    teamKey: issue.team?.key,
+    archivedAt: issue.archivedAt || null,
+    baseline: toBaseline(issue, issue.assignee?.id),
+  } : null;
+}
+
+/**
+ * Get an issue's editable fields, or null if it no longer exists
+ */
+export async function fetchIssueFields(issueId) {
+  return withRetry(() => findIssue(issueId));
+}
+
+/**
+ * Update an issue and return its fields as Linear stored them
+ */
+export async function updateIssue(issueId, input) {
+  const client = getClient();
+  await withRetry(() => client.updateIssue(issueId, input));
+  return fetchIssueFields(issueId);
+}
+
+/**
+ * Archive an issue (Linear keeps it restorable)
+ */
+export async function archiveIssue(issueId) {
+  const client = getClient();
+  await withRetry(() => client.archiveIssue(issueId));
+  openIssuesCache.clear();
+}
+
+/**
+ * Create an issue whose ID was chosen up front, adopting it if an earlier
+ * attempt already created it
+ */
+async function createIssueWithId(payload, team, onRetry) {
+  const client = getClient();
+
+  return withRetry(async () => {
+    if (payload.id) {
+      const { archivedAt, ...existing } = await findIssue(payload.id) || {};
+      if (existing.id) {
+        console.log(`  ↩️ Adopting ${existing.identifier}, created by an earlier attempt`);
+        return { ...existing, adopted: true };
+      }
+    }
+
+    const issue = await client.createIssue(payload);
+    openIssuesCache.delete(team.id);
 
     // Wait for the issue to be created and get its details
     const createdIssue = await issue.issue;
@@ -109,7 +378,33 @@ export async function createIssue(actionItem, teamId = null) {
       title: createdIssue.title,
       url: createdIssue.url,
       teamKey: team.key,
+      baseline: toBaseline(createdIssue, payload.assigneeId),
     };
+  }, onRetry);
+}
+
+/**
+ * Create a Linear issue from an action item
+ *
+ * When the item carries a creationRef (a UUID stored before the first attempt),
+ * it is used as the issue's ID: if an earlier attempt created the issue but
+ * never recorded it, the existing issue is adopted instead of duplicated.
+ * @param {Object} settings - Stored settings (see buildIssuePayload)
+ * @param {Object} options - { parentId: create as a sub-issue, onRetry: see withRetry }
+ * @returns {Object} Issue data, with adopted: true if it already existed
+ */
+export async function createIssue(actionItem, teamId = null, settings = {}, options = {}) {
+  const { payload, team } = await buildIssuePayload(actionItem, teamId, settings);
+
+  if (actionItem.creationRef) {
+    payload.id = actionItem.creationRef;
+  }
+  if (options.parentId) {
+    payload.parentId = options.parentId;
+  }
+
+  try {
+    return await createIssueWithId(payload, team, options.onRetry);
   } catch (error) {
     console.error('Error creating Linear issue:', error.message);
     throw error;
@@ -117,29 +412,195 @@ export async function createIssue(actionItem, teamId = null) {
 }
 
 /**
- * Create multiple issues from action items
+ * Create the parent issue summarizing a meeting
+ * @param {Object} meeting - { id, title, date, participants, decisions }
+ * @param {string} creationRef - Issue ID chosen up front (see createIssue)
  */
-export async function createIssues(actionItems, teamId = null) {
-  const results = [];
+export async function createMeetingParentIssue(meeting, teamId = null, settings = {}, creationRef = null) {
+  const team = await getTeam(teamId || settings.linearTeamId);
+  if (!team) {
+    throw new Error('No Linear team found. Please configure LINEAR_TEAM_ID in .env');
+  }
 
-  for (const item of actionItems) {
-    try {
-      const issue = await createIssue(item, teamId);
-      results.push({
-        actionItemId: item.id,
-        success: true,
-        issue,
-      });
-    } catch (error) {
-      results.push({
-        actionItemId: item.id,
-        success: false,
-        error: error.message,
-      });
+  let description = `📆 ${new Date(meeting.date).toLocaleString()}\n`;
+
+  if (meeting.participants && meeting.participants.length > 0) {
+    description += `👥 ${meeting.participants.join(', ')}\n`;
+  }
+
+  if (meeting.decisions && meeting.decisions.length > 0) {
+    description += '\n**Decisions**\n';
+    description += meeting.decisions.map(d => `- ${d}`).join('\n');
+    description += '\n';
+  }
+
+  description += '\nAction items from this meeting are tracked as sub-issues.';
+  description += '\n\n*Created automatically from Granola meeting notes*';
+
+  const payload = {
+    teamId: team.id,
+    title: `Meeting: ${meeting.title} (${new Date(meeting.date).toLocaleDateString()})`,
+    description,
+  };
+  if (creationRef) {
+    payload.id = creationRef;
+  }
+
+  try {
+    const { adopted, ...issue } = await createIssueWithId(payload, team);
+    return issue;
+  } catch (error) {
+    console.error('Error creating meeting parent issue:', error.message);
+    throw error;
+  }
+}
+
+// Open issues are only compared against, so a short-lived cache per team is enough
+const OPEN_ISSUES_TTL_MS = 60 * 1000;
+const OPEN_ISSUES_LIMIT = 250;
+const openIssuesCache = new Map();
+
+// Candidates scoring at least this are surfaced as likely duplicates
+export const DUPLICATE_ISSUE_THRESHOLD = 0.6;
+const MAX_DUPLICATE_CANDIDATES = 3;
+
+const OPEN_ISSUES_QUERY = `
+  query OpenTeamIssues($teamId: ID!, $first: Int) {
+    issues(
+      filter: { team: { id: { eq: $teamId } }, state: { type: { nin: ["completed", "canceled"] } } }
+      orderBy: updatedAt
+      first: $first
+    ) {
+      nodes { id identifier title description url state { name } }
     }
   }
+`;
+
+/**
+ * Get the team's most recently updated open issues
+ */
+async function getOpenIssues(teamId) {
+  const cached = openIssuesCache.get(teamId);
+  if (cached && Date.now() - cached.fetchedAt < OPEN_ISSUES_TTL_MS) {
+    return cached.issues;
+  }
+
+  const client = getClient();
+  const data = await withRetry(() => client.client.request(OPEN_ISSUES_QUERY, { teamId, first: OPEN_ISSUES_LIMIT }));
+  const issues = data.issues.nodes;
+
+  openIssuesCache.set(teamId, { fetchedAt: Date.now(), issues });
+  return issues;
+}
+
+/**
+ * Find open issues in the item's target team that look like the same task
+ * The title decides; a matching description can only raise the score.
+ * @returns {Array} [{ id, identifier, title, url, state, score }], best first
+ */
+export async function findSimilarIssues(actionItem, teamId = null, settings = {}) {
+  const team = await resolveTeam(routeActionItem(actionItem, settings), teamId, settings);
+  const issues = await getOpenIssues(team.id);
+  const threshold = settings.duplicateThreshold ?? DUPLICATE_ISSUE_THRESHOLD;
+
+  return issues
+    .map(issue => {
+      const titleScore = titleSimilarity(actionItem.title, issue.title);
+      const descriptionScore = actionItem.description && issue.description
+        ? titleSimilarity(actionItem.description, issue.description.substring(0, 500))
+        : 0;
+
+      return {
+        id: issue.id,
+        identifier: issue.identifier,
+        title: issue.title,
+        url: issue.url,
+        state: issue.state?.name || null,
+        score: Math.round(Math.max(titleScore, titleScore * 0.75 + descriptionScore * 0.25) * 100) / 100,
+      };
+    })
+    .filter(candidate => candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_DUPLICATE_CANDIDATES);
+}
+
+/**
+ * Mark two issues as related
+ */
+export async function linkRelatedIssue(issueId, relatedIssueId) {
+  const client = getClient();
+  await withRetry(() => client.createIssueRelation({ issueId, relatedIssueId, type: 'related' }));
+}
+
+/**
+ * Add a comment to an existing issue
+ */
+export async function commentOnIssue(issueId, body) {
+  const client = getClient();
+  await withRetry(() => client.createComment({ issueId, body }));
+}
+
+/**
+ * Create a project document
+ */
+export async function createDocument(title, content, projectId) {
+  const client = getClient();
+  const result = await withRetry(() => client.createDocument({ title, content, projectId }));
+  const document = await result.document;
+
+  return { id: document.id, title: document.title, url: document.url };
+}
+
+const ISSUE_SYNC_QUERY = `
+  query IssueSync($ids: [ID!], $first: Int) {
+    issues(filter: { id: { in: $ids } }, includeArchived: true, first: $first) {
+      nodes {
+        id
+        identifier
+        title
+        url
+        dueDate
+        completedAt
+        canceledAt
+        archivedAt
+        trashed
+        updatedAt
+        state { name type }
+        assignee { id name }
+      }
+    }
+  }
+`;
+
+/**
+ * Fetch the current state of issues by ID, including archived ones
+ * Issues missing from the result have been deleted (or are not visible to us).
+ * @returns {Map<string, Object>} issueId -> snapshot
+ */
+export async function fetchIssueSnapshots(issueIds) {
+  const client = getClient();
+  const data = await withRetry(() => client.client.request(ISSUE_SYNC_QUERY, { ids: issueIds, first: issueIds.length }));
+
+  const snapshots = new Map();
+  for (const issue of data.issues.nodes) {
+    snapshots.set(issue.id, {
+      identifier: issue.identifier,
+      title: issue.title,
+      url: issue.url,
+      state: issue.state?.name || null,
+      stateType: issue.state?.type || null,
+      assigneeId: issue.assignee?.id || null,
+      assigneeName: issue.assignee?.name || null,
+      dueDate: issue.dueDate || null,
+      completedAt: issue.completedAt || null,
+      canceledAt: issue.canceledAt || null,
+      archivedAt: issue.archivedAt || null,
+      trashed: !!issue.trashed,
+      updatedAt: issue.updatedAt,
+    });
+  }
 
-  return results;
+  return snapshots;
 }
 
 /**
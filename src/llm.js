@@ -0,0 +1,196 @@
+/**
+ * LLM provider layer
+ *
+ * Every provider implements callTool(request) and resolves to
+ * { input, text }: the arguments the model passed to the requested tool
+ * (or null if it did not call it) and any plain text it returned.
+ *
+ * request: {
+ *   messages: [{ role: 'user' | 'assistant', content: string }],
+ *   tool: { name, description, input_schema },
+ *   context: provider-independent data for rule-based providers,
+ *   model, temperature, maxTokens, baseUrl,
+ *   signal: optional AbortSignal cancelling the call,
+ * }
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { CONFIG } from './config.js';
+import { extractWithRules, summarizeWithRules } from './offline.js';
+
+export const PROVIDERS = ['anthropic', 'openai', 'offline'];
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4o-mini',
+  offline: 'rules',
+};
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Lazy initialization to allow env to load first
+let anthropic = null;
+function getAnthropicClient() {
+  if (!anthropic) {
+    const apiKey = CONFIG.anthropicApiKey || process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is required for the anthropic provider');
+    }
+    anthropic = new Anthropic({ apiKey });
+  }
+  return anthropic;
+}
+
+/**
+ * Parse JSON from model text, for models that answer in text instead of calling the tool
+ */
+function parseJsonText(text) {
+  const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return null;
+  }
+}
+
+const anthropicProvider = {
+  async callTool({ messages, tool, model, temperature, maxTokens, signal }) {
+    const response = await getAnthropicClient().messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(temperature !== undefined && { temperature }),
+      tools: [tool],
+      tool_choice: { type: 'tool', name: tool.name },
+      messages,
+    }, { signal });
+
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+
+    return { input: toolUse ? toolUse.input : null, text };
+  },
+};
+
+/**
+ * Any endpoint implementing the OpenAI chat completions API
+ * (OpenAI, Azure, Ollama, LM Studio, vLLM...)
+ */
+const openaiProvider = {
+  async callTool({ messages, tool, model, temperature, maxTokens, baseUrl, signal }) {
+    const url = `${(baseUrl || CONFIG.llmBaseUrl).replace(/\/+$/, '')}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (CONFIG.openaiApiKey) {
+      headers.Authorization = `Bearer ${CONFIG.openaiApiKey}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== undefined && { temperature }),
+        messages,
+        tools: [{
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+        }],
+        tool_choice: { type: 'function', function: { name: tool.name } },
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`LLM endpoint returned ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message || {};
+    const toolCall = (message.tool_calls || []).find(call => call.function?.name === tool.name);
+
+    let input = null;
+    if (toolCall) {
+      try {
+        input = JSON.parse(toolCall.function.arguments);
+      } catch (error) {
+        input = null;
+      }
+    }
+
+    return { input: input || parseJsonText(message.content), text: message.content || '' };
+  },
+};
+
+/**
+ * Rule-based provider: ignores the prompt and works on request.context
+ * ({ text } to extract from, or { candidates, summaries, notes } to consolidate)
+ */
+const offlineProvider = {
+  async callTool({ context = {} }) {
+    if (context.candidates) {
+      return {
+        input: {
+          actionItems: extractWithRules(context.notes, context.candidates),
+          meetingSummary: summarizeWithRules(context.notes, context.summaries),
+        },
+        text: '',
+      };
+    }
+
+    return {
+      input: {
+        actionItems: extractWithRules(context.text),
+        meetingSummary: summarizeWithRules(context.text),
+      },
+      text: '',
+    };
+  },
+};
+
+const PROVIDER_IMPLEMENTATIONS = {
+  anthropic: anthropicProvider,
+  openai: openaiProvider,
+  offline: offlineProvider,
+};
+
+/**
+ * Resolve LLM options from settings, falling back to env and defaults
+ */
+export function getLlmOptions(settings = {}) {
+  const provider = settings.llmProvider || CONFIG.llmProvider;
+  const temperature = parseFloat(settings.llmTemperature);
+
+  return {
+    provider,
+    model: settings.llmModel || (provider === CONFIG.llmProvider && CONFIG.llmModel) || DEFAULT_MODELS[provider],
+    temperature: isNaN(temperature) ? undefined : temperature,
+    maxTokens: parseInt(settings.llmMaxTokens, 10) || DEFAULT_MAX_TOKENS,
+    baseUrl: settings.llmBaseUrl || CONFIG.llmBaseUrl,
+  };
+}
+
+/**
+ * Call a tool through the provider selected in the options
+ */
+export async function callTool(options, { messages, tool, context }) {
+  const provider = PROVIDER_IMPLEMENTATIONS[options.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${options.provider}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+  options.signal?.throwIfAborted();
+
+  return provider.callTool({ ...options, messages, tool, context });
+}
+
+/**
+ * Get the default model for each provider
+ */
+export function getDefaultModels() {
+  return { ...DEFAULT_MODELS };
+}
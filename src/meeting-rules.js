@@ -0,0 +1,167 @@
+/**
+ * Which meetings the watcher processes
+ *
+ * settings.processMeetingsAfter (or PROCESS_MEETINGS_AFTER) skips meetings
+ * before a date, so a first start does not send years of Granola history to
+ * the LLM. settings.meetingRules then include or exclude meetings:
+ *
+ * {
+ *   name: 'Skip 1:1s',
+ *   action: 'exclude',                 // or 'include'
+ *   match: {
+ *     title: 'standup|retro',          // regex, case-insensitive
+ *     attendeeDomains: ['acme.com'],   // any attendee email in one of these domains
+ *     minParticipants: 3,
+ *     maxParticipants: 2,
+ *     minNotesLength: 200,             // characters
+ *     minTranscriptLength: 1000,
+ *   },
+ * }
+ *
+ * A meeting matching any exclude rule is skipped. When there are include
+ * rules, a meeting must also match one of them. All conditions of a rule must
+ * match. Rules only apply to the watcher; processing a meeting by hand
+ * ignores them.
+ */
+
+import { CONFIG } from './config.js';
+import { validateSchema } from './schema.js';
+
+const COUNT = { type: 'integer', minimum: 0 };
+
+const RULE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'action', 'match'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    action: { type: 'string', enum: ['include', 'exclude'] },
+    match: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        attendeeDomains: { type: 'array', items: { type: 'string', minLength: 1 } },
+        minParticipants: COUNT,
+        maxParticipants: COUNT,
+        minNotesLength: COUNT,
+        minTranscriptLength: COUNT,
+      },
+    },
+  },
+};
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+/**
+ * Validate the cutoff date and meeting rules from settings
+ * Returns a list of error messages, empty when valid.
+ */
+export function validateMeetingRuleSettings({ processMeetingsAfter, meetingRules }) {
+  const errors = [];
+
+  if (processMeetingsAfter !== undefined && processMeetingsAfter !== null) {
+    const dateErrors = validateSchema(processMeetingsAfter, { type: 'string', pattern: DATE_PATTERN }, 'processMeetingsAfter');
+    if (dateErrors.length > 0) {
+      errors.push(...dateErrors.map(v => v.message));
+    } else if (isNaN(new Date(processMeetingsAfter))) {
+      errors.push('processMeetingsAfter is not a valid date');
+    }
+  }
+
+  if (meetingRules !== undefined && meetingRules !== null) {
+    errors.push(...validateSchema(meetingRules, { type: 'array', items: RULE_SCHEMA }, 'meetingRules').map(v => v.message));
+
+    (Array.isArray(meetingRules) ? meetingRules : []).forEach((rule, index) => {
+      const pattern = rule?.match?.title;
+      if (typeof pattern !== 'string') return;
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push(`meetingRules[${index}].match.title is not a valid regex: ${error.message}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+const domainOf = participant => String(participant).toLowerCase().split('@')[1] || null;
+
+/**
+ * Check a rule's conditions against a meeting
+ * Returns the list of conditions that matched, or null if any failed.
+ */
+function matchRule(rule, meeting) {
+  const match = rule.match || {};
+  const participants = meeting.participants || [];
+  const matched = [];
+
+  if (match.title) {
+    if (!new RegExp(match.title, 'i').test(meeting.title || '')) return null;
+    matched.push(`title ~ /${match.title}/`);
+  }
+
+  if (match.attendeeDomains?.length) {
+    const domains = match.attendeeDomains.map(d => d.toLowerCase().replace(/^@/, ''));
+    const hit = participants.map(domainOf).find(domain => domains.includes(domain));
+    if (!hit) return null;
+    matched.push(`attendee from ${hit}`);
+  }
+
+  if (match.minParticipants !== undefined) {
+    if (participants.length < match.minParticipants) return null;
+    matched.push(`${participants.length} participants`);
+  }
+
+  if (match.maxParticipants !== undefined) {
+    if (participants.length > match.maxParticipants) return null;
+    matched.push(`${participants.length} participants`);
+  }
+
+  if (match.minNotesLength !== undefined) {
+    if ((meeting.notes || '').length < match.minNotesLength) return null;
+    matched.push(`notes of ${(meeting.notes || '').length} characters`);
+  }
+
+  if (match.minTranscriptLength !== undefined) {
+    if ((meeting.transcript || '').length < match.minTranscriptLength) return null;
+    matched.push(`transcript of ${(meeting.transcript || '').length} characters`);
+  }
+
+  return [...new Set(matched)];
+}
+
+/**
+ * The cutoff date in effect, as YYYY-MM-DD, or null
+ */
+function getProcessingCutoff(settings = {}) {
+  return settings.processMeetingsAfter || CONFIG.processMeetingsAfter || null;
+}
+
+/**
+ * Decide whether the watcher should process a meeting
+ * @returns {Object|null} null to process it, or { rule, reason } explaining why it is skipped
+ */
+export function getSkipReason(meeting, settings = {}) {
+  const cutoff = getProcessingCutoff(settings);
+  if (cutoff && new Date(meeting.date) < new Date(cutoff)) {
+    return { rule: 'backfill cutoff', reason: `before ${cutoff}` };
+  }
+
+  const rules = settings.meetingRules || [];
+
+  for (const rule of rules.filter(r => r.action === 'exclude')) {
+    const matched = matchRule(rule, meeting);
+    if (matched) {
+      return { rule: rule.name, reason: matched.join(', ') || 'always' };
+    }
+  }
+
+  const includes = rules.filter(r => r.action === 'include');
+  if (includes.length > 0 && !includes.some(rule => matchRule(rule, meeting))) {
+    return { rule: 'no include rule', reason: `matches none of ${includes.map(r => `"${r.name}"`).join(', ')}` };
+  }
+
+  return null;
+}
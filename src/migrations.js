@@ -0,0 +1,126 @@
+/**
+ * Store schema migrations
+ *
+ * The schema version is kept in SQLite's user_version. At startup, migrations
+ * newer than it run in order, each in its own transaction, after a backup of
+ * the database is written to data/backups. A store with a newer version than
+ * this code knows is left untouched.
+ *
+ * To change the schema, append a migration with the next version; never edit
+ * one that has shipped.
+ */
+
+import { existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Action items, meetings and settings',
+    up: db => db.exec(`
+      CREATE TABLE IF NOT EXISTS action_items (
+        id TEXT PRIMARY KEY,
+        meeting_id TEXT,
+        status TEXT NOT NULL,
+        meeting_date TEXT,
+        extracted_at TEXT,
+        linear_issue_id TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS action_items_status ON action_items (status);
+      CREATE INDEX IF NOT EXISTS action_items_meeting ON action_items (meeting_id);
+      CREATE INDEX IF NOT EXISTS action_items_meeting_date ON action_items (meeting_date);
+      CREATE INDEX IF NOT EXISTS action_items_extracted_at ON action_items (extracted_at);
+      CREATE INDEX IF NOT EXISTS action_items_linear_issue ON action_items (linear_issue_id);
+
+      CREATE TABLE IF NOT EXISTS meetings (
+        id TEXT PRIMARY KEY,
+        processed_at TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `),
+  },
+  {
+    version: 2,
+    description: 'Action item history',
+    up: db => db.exec(`
+      CREATE TABLE action_item_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action_item_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        source TEXT NOT NULL,
+        batch_id TEXT,
+        changes TEXT NOT NULL,
+        undoes INTEGER,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX action_item_history_item ON action_item_history (action_item_id, id);
+      CREATE INDEX action_item_history_batch ON action_item_history (batch_id);
+      CREATE INDEX action_item_history_undoes ON action_item_history (undoes);
+    `),
+  },
+  {
+    version: 3,
+    description: 'Meeting processing failures',
+    up: db => db.exec(`
+      ALTER TABLE meetings ADD COLUMN failed_at TEXT;
+      CREATE INDEX meetings_failed_at ON meetings (failed_at);
+    `),
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Copy the database before migrating
+ * VACUUM INTO writes a consistent copy, including changes still in the WAL.
+ */
+function backupDatabase(db, backupDir, version) {
+  if (!existsSync(backupDir)) {
+    mkdirSync(backupDir, { recursive: true });
+  }
+
+  const path = join(backupDir, `store.v${version}.${new Date().toISOString().replace(/[:.]/g, '-')}.db`);
+  db.prepare('VACUUM INTO ?').run(path);
+  return path;
+}
+
+/**
+ * Bring a database up to SCHEMA_VERSION
+ * @param {Object} options - { backupDir }
+ * @returns {Object} { from, to, backup } where backup is null if nothing needed saving
+ */
+export function migrate(db, { backupDir }) {
+  const from = db.pragma('user_version', { simple: true });
+
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Store schema version ${from} is newer than this version supports (${SCHEMA_VERSION}); upgrade before using this store`);
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > from);
+  if (pending.length === 0) {
+    return { from, to: from, backup: null };
+  }
+
+  const hasTables = db.prepare("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'").get().count > 0;
+  const backup = hasTables ? backupDatabase(db, backupDir, from) : null;
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      // Another process may have migrated while this one waited for the lock
+      if (db.pragma('user_version', { simple: true }) >= migration.version) {
+        return;
+      }
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    }).immediate();
+    console.log(`🗄️ Migrated store to v${migration.version}: ${migration.description}`);
+  }
+
+  return { from, to: SCHEMA_VERSION, backup };
+}
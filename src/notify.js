@@ -22,6 +22,9 @@ config({ path: join(PROJECT_DIR, '.env'), override: true });
 const STATE_FILE = join(PROJECT_DIR, 'data', '.last-processed');
 const PORT = process.env.PORT || 3847;
 
+// Only meetings from this long before the last run (or now, on a first run) are processed
+const LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Send macOS notification
  */
@@ -78,7 +81,7 @@ function getLastProcessed() {
       return JSON.parse(readFileSync(STATE_FILE, 'utf-8'));
     }
   } catch (e) {}
-  return { timestamp: 0, meetingIds: [] };
+  return { timestamp: 0 };
 }
 
 /**
@@ -92,62 +95,59 @@ function saveLastProcessed(state) {
   writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
 }
 
+/**
+ * Wait until none of the jobs is queued or running
+ */
+function waitForJobs(jobs, subscribe) {
+  const finished = () => jobs.every(job => !['queued', 'running'].includes(job.status));
+
+  return new Promise(resolve => {
+    if (finished()) return resolve(jobs);
+    const unsubscribe = subscribe(event => {
+      if (event.type === 'job-updated' && finished()) {
+        unsubscribe();
+        resolve(jobs);
+      }
+    });
+  });
+}
+
 /**
  * Process new meetings
+ * Same selection and processing as the server's watcher: stored settings,
+ * meeting rules, retry backoff and the processed-meetings record. On top of
+ * that only recent meetings are considered, so a first run (or a lost state
+ * file) does not send the whole Granola history to the LLM.
  */
 async function processNewMeetings() {
   // Dynamic imports after env is loaded
-  const { loadGranolaData } = await import('./granola.js');
-  const { extractActionItems } = await import('./ai.js');
+  const { validateConfig } = await import('./config.js');
   const store = await import('./store.js');
+  const watcher = await import('./watcher.js');
+  const { subscribe } = await import('./events.js');
+
+  validateConfig(store.getSettings());
 
   console.log(`[${new Date().toISOString()}] Checking for new meetings...`);
 
-  const { meetings } = loadGranolaData();
-  const lastProcessed = getLastProcessed();
+  const startedAt = Date.now();
+  const { timestamp } = getLastProcessed();
+  const since = new Date((timestamp || startedAt) - LOOKBACK_MS);
 
-  // Find meetings we haven't processed yet
-  const newMeetings = meetings.filter(m =>
-    !lastProcessed.meetingIds.includes(m.id) &&
-    new Date(m.date).getTime() > lastProcessed.timestamp - 86400000 // Within last 24h
-  );
+  const { jobs } = watcher.processNewMeetings('watcher', { since });
+  await waitForJobs(jobs, subscribe);
+  saveLastProcessed({ timestamp: startedAt });
 
-  if (newMeetings.length === 0) {
-    console.log('No new meetings to process');
+  if (jobs.length === 0) {
     return;
   }
 
-  console.log(`Found ${newMeetings.length} new meeting(s)`);
-
-  let totalItems = 0;
-  const processedIds = [...lastProcessed.meetingIds];
-
-  for (const meeting of newMeetings) {
-    try {
-      console.log(`Processing: ${meeting.title}`);
-      const actionItems = await extractActionItems(meeting);
-
-      if (actionItems.length > 0) {
-        store.saveActionItems(actionItems);
-        totalItems += actionItems.length;
-        console.log(`  → Extracted ${actionItems.length} action item(s)`);
-      }
-
-      processedIds.push(meeting.id);
-    } catch (error) {
-      console.error(`  → Error: ${error.message}`);
-    }
-  }
-
-  // Save state
-  saveLastProcessed({
-    timestamp: Date.now(),
-    meetingIds: processedIds.slice(-100) // Keep last 100 IDs
-  });
+  const withItems = jobs.filter(job => job.status === 'succeeded' && job.result.count > 0);
+  const totalItems = withItems.reduce((sum, job) => sum + job.result.count, 0);
 
   // Send notification if we found items
   if (totalItems > 0) {
-    const meetingNames = newMeetings.map(m => m.title).join(', ');
+    const meetingNames = withItems.map(job => job.title).join(', ');
     notify(
       'Granola → Linear',
       `${totalItems} action item(s) from: ${meetingNames.substring(0, 50)}${meetingNames.length > 50 ? '...' : ''}`,
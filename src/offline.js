@@ -0,0 +1,166 @@
+/**
+ * Deterministic, rule-based action item extraction
+ *
+ * Used by the offline provider so the pipeline can run without an LLM
+ * (CI, air-gapped machines). It only catches explicit phrasing such as
+ * "I will...", "Can you...", "[Name] will..." and "TODO:", which is far less
+ * than a model finds, but always gives the same result for the same input.
+ */
+
+import { findBestMatch } from './similarity.js';
+
+// Each rule captures the task text; `assignee` decides who owns it and
+// `confidence` reflects how explicit the phrasing is
+const RULES = [
+  { pattern: /^(?:-\s*)?\[ \]\s*(.+)$/i, assignee: () => 'Unassigned', confidence: 0.9 },
+  { pattern: /\b(?:TODO|To-?do|Action item|Next step)s?\s*[:\-]\s*(.+)$/i, assignee: () => 'Unassigned', confidence: 0.9 },
+  { pattern: /\b(?:I will|I'll|I am going to|I'm going to|I can take)\s+(.+)$/i, assignee: speaker => speaker || 'Unassigned', confidence: 0.7 },
+  { pattern: /\b([A-Z][a-z]+),?\s+(?:can|could|would) you\s+(.+?)\??$/, assignee: (speaker, match) => match[1], group: 2, confidence: 0.7 },
+  { pattern: /\b(?:can|could|would) you\s+(?:please\s+)?(.+?)\??$/i, assignee: () => 'Unassigned', confidence: 0.5 },
+  { pattern: /\b([A-Z][a-z]+) (?:will|is going to|to)\s+(.+)$/, assignee: (speaker, match) => match[1], group: 2, confidence: 0.6 },
+  { pattern: /\b(?:we need to|we should|let's|let us)\s+(.+)$/i, assignee: () => 'Unassigned', confidence: 0.4 },
+];
+
+// Capitalized words that look like names in "[Name] will..." but are not
+const NOT_NAMES = new Set(['We', 'It', 'This', 'That', 'There', 'They', 'He', 'She', 'You', 'Who', 'What', 'Which', 'Nobody', 'Everyone']);
+
+// Line prefixes that look like "Speaker:" but label the line instead
+const LABELS = /^(?:TODO|To-?do|Action items?|Next steps?|Notes?|Decisions?|AI)$/i;
+
+// Sentences recorded in the meeting summary
+const DECISION = /\b(?:we decided|decided to|we agreed|agreed to|we'll go with|we will go with|the decision is|decision:)/i;
+const RISK = /\b(?:risk|risky|concern|concerned|worried|blocker|blocked|at stake)\b/i;
+
+const HIGH_PRIORITY = /\b(urgent|asap|critical|immediately|blocker|today)\b/i;
+const LOW_PRIORITY = /\b(when you get a chance|eventually|nice to have|low priority|someday)\b/i;
+const DEADLINE = /\b(?:by|before|until|due)\s+((?:the\s+)?(?:end of\s+)?[A-Za-z0-9 ]+?)(?=[,.;!?]|$)|\b(today|tomorrow|tonight|this week|next week|end of (?:the )?(?:day|week|month|quarter))\b/i;
+
+/**
+ * Split meeting text into sentences, keeping the speaker of each line
+ */
+function splitSentences(text) {
+  const sentences = [];
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/^\[[\d:]+\]\s*/, '').trim();
+    if (!line) continue;
+
+    let speakerMatch = line.match(/^([A-Z][\w .'-]{0,40}):\s+(.*)$/);
+    if (speakerMatch && LABELS.test(speakerMatch[1])) {
+      speakerMatch = null;
+    }
+    const speaker = speakerMatch ? speakerMatch[1] : null;
+    const body = speakerMatch ? speakerMatch[2] : line;
+
+    for (const sentence of body.match(/[^.!?]+[.!?]?/g) || []) {
+      if (sentence.trim()) {
+        sentences.push({ speaker, text: sentence.trim() });
+      }
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Turn the captured task text into an issue-style title
+ */
+function toTitle(task) {
+  let title = task
+    .replace(DEADLINE, '')
+    .replace(/[\s,.;:!?]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (title.length > 80) {
+    title = `${title.slice(0, 77).replace(/\s+\S*$/, '')}...`;
+  }
+
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+/**
+ * Build an action item from a sentence if any rule matches it
+ */
+function matchSentence({ speaker, text }) {
+  for (const rule of RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) continue;
+
+    const task = match[rule.group || 1];
+    const assignee = rule.assignee(speaker, match);
+    if (NOT_NAMES.has(assignee) || !task || task.trim().split(/\s+/).length < 2) {
+      continue;
+    }
+
+    const deadline = text.match(DEADLINE);
+    let priority = 'Medium';
+    if (HIGH_PRIORITY.test(text)) priority = 'High';
+    else if (LOW_PRIORITY.test(text)) priority = 'Low';
+
+    return {
+      title: toTitle(task),
+      description: speaker ? `${speaker}: "${text}"` : `"${text}"`,
+      assignee,
+      priority,
+      deadline: deadline ? (deadline[1] || deadline[2]).trim() : null,
+      citations: [{ quote: text, speaker }],
+      confidence: rule.confidence,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Extract action items from meeting text using the pattern rules
+ */
+export function extractWithRules(text, existing = []) {
+  const items = [...existing];
+
+  for (const sentence of splitSentences(text || '')) {
+    const item = matchSentence(sentence);
+    if (item && item.title && !findBestMatch(item.title, items, 0.8)) {
+      items.push(item);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Build a meeting summary from explicit phrasing: decisions ("we agreed..."),
+ * risks ("I'm worried...") and questions nobody turned into an action item
+ * @param {Array} summaries - Partial summaries to merge in (from earlier chunks)
+ */
+export function summarizeWithRules(text, summaries = []) {
+  const merged = { summary: '', decisions: [], openQuestions: [], risks: [] };
+  const add = (list, entry) => {
+    if (!findBestMatch(entry, list, 0.8, value => value)) list.push(entry);
+  };
+
+  for (const partial of summaries) {
+    partial.decisions.forEach(entry => add(merged.decisions, entry));
+    partial.openQuestions.forEach(entry => add(merged.openQuestions, entry));
+    partial.risks.forEach(entry => add(merged.risks, entry));
+  }
+
+  for (const sentence of splitSentences(text || '')) {
+    if (DECISION.test(sentence.text)) {
+      add(merged.decisions, sentence.text);
+    } else if (RISK.test(sentence.text)) {
+      add(merged.risks, sentence.text);
+    } else if (sentence.text.endsWith('?') && !matchSentence(sentence)) {
+      add(merged.openQuestions, sentence.text);
+    }
+  }
+
+  const counts = [
+    [merged.decisions.length, 'decision'],
+    [merged.openQuestions.length, 'open question'],
+    [merged.risks.length, 'risk'],
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`);
+  merged.summary = counts.length > 0 ? `Rule-based summary: ${counts.join(', ')}.` : '';
+
+  return merged;
+}
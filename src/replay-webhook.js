@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Replay a Linear webhook payload against the local server
+ *
+ * Usage: npm run webhook:replay -- examples/linear-issue-update.json
+ *
+ * Refreshes webhookTimestamp and signs the body with LINEAR_WEBHOOK_SECRET,
+ * so saved payloads can be replayed while developing.
+ */
+
+import { readFileSync } from 'fs';
+import { createHmac, randomUUID } from 'crypto';
+import { config } from 'dotenv';
+
+config();
+
+const file = process.argv[2];
+const secret = process.env.LINEAR_WEBHOOK_SECRET;
+const port = process.env.PORT || 3847;
+
+if (!file) {
+  console.error('Usage: npm run webhook:replay -- <payload.json>');
+  process.exit(1);
+}
+if (!secret) {
+  console.error('LINEAR_WEBHOOK_SECRET is required to sign the payload');
+  process.exit(1);
+}
+
+const payload = JSON.parse(readFileSync(file, 'utf-8'));
+payload.webhookTimestamp = Date.now();
+
+const body = JSON.stringify(payload);
+const signature = createHmac('sha256', secret).update(body).digest('hex');
+
+const response = await fetch(`http://localhost:${port}/api/linear/webhook`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Linear-Signature': signature,
+    'Linear-Delivery': randomUUID(),
+    'Linear-Event': payload.type,
+  },
+  body,
+});
+
+console.log(`${response.status} ${await response.text()}`);
+process.exit(response.ok ? 0 : 1);
@@ -0,0 +1,149 @@
+/**
+ * Request validation for the REST API
+ *
+ * Routes declare the schema of their body (and query, where they take one)
+ * with validate(). Requests that do not match get a 400 listing every
+ * violation as { in, path, message }. Fields a schema does not list are
+ * rejected rather than ignored, so typos and attempts to set internal fields
+ * (id, meetingId, linearIssue, ...) fail loudly.
+ */
+
+import { validateSchema } from './schema.js';
+import { ACTION_ITEM_STATUSES, REVIEW_STATUSES } from './store.js';
+import { DUPLICATE_ACTIONS, CREATION_MODES } from './creation.js';
+import { SUMMARY_TARGETS } from './summaries.js';
+import { PROVIDERS } from './llm.js';
+import { JOB_STATUSES } from './jobs.js';
+
+const ID = { type: 'string', minLength: 1, maxLength: 200 };
+const OPTIONAL_ID = { type: ['string', 'null'], maxLength: 200 };
+const OPTIONAL_TEXT = { type: ['string', 'null'], maxLength: 10000 };
+
+const object = (properties, required = []) => ({ type: 'object', properties, required, additionalProperties: false });
+
+// Routes that take no parameters
+export const EMPTY_BODY = object({});
+
+export const SESSION_BODY = object({
+  token: { type: 'string', minLength: 1, maxLength: 500 },
+}, ['token']);
+
+export const ACTION_ITEM_UPDATE_BODY = object({
+  title: { type: 'string', minLength: 1, maxLength: 500 },
+  description: OPTIONAL_TEXT,
+  assignee: { type: ['string', 'null'], maxLength: 200 },
+  assigneeId: OPTIONAL_ID,
+  assigneeName: { type: ['string', 'null'], maxLength: 200 },
+  assigneeResolution: object({
+    status: { type: 'string', enum: ['manual'] },
+    candidates: { type: 'array', maxItems: 0 },
+  }, ['status']),
+  priority: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+  deadline: { type: ['string', 'null'], maxLength: 200 },
+  status: { type: 'string', enum: REVIEW_STATUSES },
+  force: { type: 'boolean' },
+});
+
+export const ACTION_ITEM_IDS_BODY = object({
+  ids: { type: 'array', minItems: 1, maxItems: 500, items: ID },
+}, ['ids']);
+
+export const TEAM_BODY = object({
+  teamId: OPTIONAL_ID,
+});
+
+export const CREATE_ISSUES_BODY = object({
+  teamId: OPTIONAL_ID,
+  creationMode: { type: ['string', 'null'], enum: [...CREATION_MODES, null] },
+});
+
+export const RESOLVE_DUPLICATE_BODY = object({
+  action: { type: 'string', enum: DUPLICATE_ACTIONS },
+  issueId: OPTIONAL_ID,
+  teamId: OPTIONAL_ID,
+}, ['action']);
+
+export const PUBLISH_SUMMARY_BODY = object({
+  target: { type: 'string', enum: SUMMARY_TARGETS },
+  projectId: OPTIONAL_ID,
+}, ['target']);
+
+export const TEMPLATE_PREVIEW_BODY = object({
+  template: { type: ['string', 'null'], maxLength: 20000 },
+  actionItemId: OPTIONAL_ID,
+  teamId: OPTIONAL_ID,
+});
+
+// Nested settings (routing rules, meeting rules, templates) are checked in depth by
+// routing.js, meeting-rules.js and templates.js
+export const SETTINGS_BODY = object({
+  linearTeamId: OPTIONAL_ID,
+  customPrompt: OPTIONAL_TEXT,
+  routingRules: { type: 'array', maxItems: 200 },
+  processMeetingsAfter: { type: ['string', 'null'] },
+  meetingRules: { type: 'array', maxItems: 200 },
+  priorityMap: { type: 'object' },
+  descriptionTemplate: { type: ['string', 'null'], maxLength: 20000 },
+  teamTemplates: { type: ['object', 'null'] },
+  assigneeAliases: { type: 'object' },
+  llmProvider: { type: 'string', enum: PROVIDERS },
+  llmModel: { type: ['string', 'null'], maxLength: 200 },
+  llmBaseUrl: { type: ['string', 'null'], maxLength: 500, pattern: '^https?://' },
+  llmTemperature: { type: ['number', 'null'], minimum: 0, maximum: 2 },
+  llmMaxTokens: { type: ['integer', 'null'], minimum: 1 },
+  timeZone: { type: ['string', 'null'], maxLength: 100 },
+  weekStartsOn: { type: 'integer', minimum: 0, maximum: 6 },
+  mapSprintToCycle: { type: 'boolean' },
+  duplicateDetection: { type: 'boolean' },
+  duplicateThreshold: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+  creationMode: { type: 'string', enum: CREATION_MODES },
+  creationConcurrency: { type: ['integer', 'null'], minimum: 1, maximum: 10 },
+  summaryProjectId: OPTIONAL_ID,
+  chunkingMode: { type: 'string', enum: ['auto', 'always', 'off'] },
+  chunkSize: { type: ['integer', 'null'], minimum: 1000 },
+  chunkOverlap: { type: 'integer', minimum: 0 },
+});
+
+// Signature checks guard the webhook; its payload is Linear's to define
+export const WEBHOOK_BODY = { type: 'object', required: ['type', 'action'] };
+
+export const ACTION_ITEMS_QUERY = object({
+  status: { type: 'string', pattern: `^(${ACTION_ITEM_STATUSES.join('|')})(,(${ACTION_ITEM_STATUSES.join('|')}))*$` },
+  meetingId: ID,
+  since: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+});
+
+export const JOBS_QUERY = object({
+  status: { type: 'string', pattern: `^(${JOB_STATUSES.join('|')})(,(${JOB_STATUSES.join('|')}))*$` },
+  meetingId: ID,
+});
+
+export const TEAM_QUERY = object({
+  teamId: ID,
+});
+
+/**
+ * Turn error messages from other validators (routing, templates) into
+ * violations, taking the path from the start of the message
+ */
+export function toViolations(messages, location = 'body') {
+  return messages.map(message => ({ in: location, path: message.match(/^[\w.[\]]+/)?.[0] || '', message }));
+}
+
+/**
+ * Express middleware rejecting requests that do not match the schemas
+ * @param {Object} schemas - { body, query }
+ */
+export function validate({ body = null, query = null }) {
+  return (req, res, next) => {
+    const details = [
+      ...(body ? validateSchema(req.body ?? {}, body).map(v => ({ in: 'body', ...v })) : []),
+      ...(query ? validateSchema({ ...req.query }, query).map(v => ({ in: 'query', ...v })) : []),
+    ];
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details });
+    }
+    next();
+  };
+}
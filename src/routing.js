@@ -0,0 +1,173 @@
+/**
+ * Issue routing rules
+ *
+ * Rules live in settings.routingRules and are evaluated in order; the first
+ * rule whose conditions all match decides where the issue goes:
+ *
+ * {
+ *   name: 'Infra follow-ups',
+ *   match: {
+ *     meetingTitle: 'standup|infra',          // regex, case-insensitive
+ *     participants: ['@acme.com', 'bob@x.io'], // any attendee contains one of these
+ *     assignee: 'alice|bob',                  // regex on extracted or resolved assignee
+ *     keywords: ['deploy', 'terraform'],      // any word in the item title/description
+ *     priority: ['High'],                     // extracted priority
+ *   },
+ *   set: {
+ *     teamId, projectId, labelIds: [], estimate: 3,
+ *     cycle: 'current' | 'next' | '<cycle id>',
+ *     priorityMap: { High: 2, Medium: 3, Low: 4 },
+ *   },
+ * }
+ */
+
+import { validateSchema } from './schema.js';
+
+// Extracted priority → Linear priority (1 Urgent, 2 High, 3 Medium, 4 Low, 0 None)
+export const DEFAULT_PRIORITY_MAP = {
+  High: 2,
+  Medium: 3,
+  Low: 4,
+};
+
+const LINEAR_PRIORITY = { type: 'integer', minimum: 0, maximum: 4 };
+
+const PRIORITY_MAP_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: { High: LINEAR_PRIORITY, Medium: LINEAR_PRIORITY, Low: LINEAR_PRIORITY },
+};
+
+const RULE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'match', 'set'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    match: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        meetingTitle: { type: 'string', minLength: 1 },
+        participants: { type: 'array', items: { type: 'string', minLength: 1 } },
+        assignee: { type: 'string', minLength: 1 },
+        keywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+        priority: { type: 'array', items: { type: 'string', enum: Object.keys(DEFAULT_PRIORITY_MAP) } },
+      },
+    },
+    set: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        teamId: { type: 'string', minLength: 1 },
+        projectId: { type: 'string', minLength: 1 },
+        labelIds: { type: 'array', items: { type: 'string', minLength: 1 } },
+        cycle: { type: 'string', minLength: 1 },
+        estimate: { type: 'number', minimum: 0 },
+        priorityMap: PRIORITY_MAP_SCHEMA,
+      },
+    },
+  },
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate routing rules and the default priority map from settings
+ * Returns a list of error messages, empty when valid.
+ */
+export function validateRoutingSettings({ routingRules, priorityMap }) {
+  const errors = [];
+
+  if (routingRules !== undefined && routingRules !== null) {
+    errors.push(...validateSchema(routingRules, { type: 'array', items: RULE_SCHEMA }, 'routingRules').map(v => v.message));
+
+    (Array.isArray(routingRules) ? routingRules : []).forEach((rule, index) => {
+      for (const field of ['meetingTitle', 'assignee']) {
+        const pattern = rule?.match?.[field];
+        if (typeof pattern !== 'string') continue;
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          errors.push(`routingRules[${index}].match.${field} is not a valid regex: ${error.message}`);
+        }
+      }
+    });
+  }
+
+  if (priorityMap !== undefined && priorityMap !== null) {
+    errors.push(...validateSchema(priorityMap, PRIORITY_MAP_SCHEMA, 'priorityMap').map(v => v.message));
+  }
+
+  return errors;
+}
+
+/**
+ * Check a rule's conditions against an action item
+ * Returns the list of conditions that matched, or null if any failed.
+ */
+function matchRule(rule, item) {
+  const match = rule.match || {};
+  const matched = [];
+
+  if (match.meetingTitle) {
+    if (!new RegExp(match.meetingTitle, 'i').test(item.meetingTitle || '')) return null;
+    matched.push(`meeting title ~ /${match.meetingTitle}/`);
+  }
+
+  if (match.participants?.length) {
+    const participants = (item.meetingParticipants || []).map(p => String(p).toLowerCase());
+    const hit = match.participants.find(entry => participants.some(p => p.includes(entry.toLowerCase())));
+    if (!hit) return null;
+    matched.push(`participant ${hit}`);
+  }
+
+  if (match.assignee) {
+    const pattern = new RegExp(match.assignee, 'i');
+    if (!pattern.test(item.assignee || '') && !pattern.test(item.assigneeName || '')) return null;
+    matched.push(`assignee ~ /${match.assignee}/`);
+  }
+
+  if (match.keywords?.length) {
+    const text = `${item.title || ''} ${item.description || ''}`;
+    const hit = match.keywords.find(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(text));
+    if (!hit) return null;
+    matched.push(`keyword "${hit}"`);
+  }
+
+  if (match.priority?.length) {
+    if (!match.priority.includes(item.priority)) return null;
+    matched.push(`priority ${item.priority}`);
+  }
+
+  return matched;
+}
+
+/**
+ * Find the routing for an action item
+ * @returns {Object} { rule: { index, name, matched } | null, set, priority }
+ */
+export function routeActionItem(item, settings = {}) {
+  const rules = Array.isArray(settings.routingRules) ? settings.routingRules : [];
+  let fired = null;
+  let set = {};
+
+  for (const [index, rule] of rules.entries()) {
+    const matched = matchRule(rule, item);
+    if (matched) {
+      fired = { index, name: rule.name, matched };
+      set = rule.set || {};
+      break;
+    }
+  }
+
+  const priorityMap = { ...DEFAULT_PRIORITY_MAP, ...settings.priorityMap, ...set.priorityMap };
+
+  return {
+    rule: fired,
+    set,
+    priority: priorityMap[item.priority] ?? priorityMap.Low,
+  };
+}
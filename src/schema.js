@@ -0,0 +1,101 @@
+/**
+ * Minimal JSON Schema validation
+ *
+ * Supports the subset of JSON Schema used in this project: type (single or
+ * list), enum, required, properties, additionalProperties: false, items,
+ * minItems, maxItems, minLength, maxLength, pattern, minimum and maximum.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function describePath(path) {
+  return path || 'value';
+}
+
+/**
+ * Validate a value against a schema
+ * Returns an array of { path, message } violations, empty when valid.
+ */
+export function validateSchema(value, schema, path = '') {
+  const violations = [];
+  const fail = (message, at = path) => violations.push({ path: at, message: `${describePath(at)} ${message}` });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return violations;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((entry, index) => {
+        violations.push(...validateSchema(entry, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const childPath = key => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail('is required', childPath(key));
+      }
+    }
+
+    for (const [key, entry] of Object.entries(value)) {
+      if (properties[key]) {
+        violations.push(...validateSchema(entry, properties[key], childPath(key)));
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', childPath(key));
+      }
+    }
+  }
+
+  return violations;
+}
@@ -1,43 +1,214 @@
 import express from 'express';
+import { randomUUID } from 'crypto';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { CONFIG, validateConfig } from './config.js';
 import { loadGranolaData, getMeetingById } from './granola.js';
-import { extractActionItems, getDefaultPrompt } from './ai.js';
-import { createIssue, createIssues, getTeams, testConnection } from './linear.js';
+import { getDefaultPrompt, getDefaultChunking } from './ai.js';
+import { PROVIDERS, getDefaultModels } from './llm.js';
+import {
+  buildIssuePayload,
+  renderDescription,
+  findSimilarIssues,
+  getTeams,
+  getUsers,
+  testConnection,
+} from './linear.js';
+import { applyResolution } from './assignees.js';
+import { parseItemDeadline, DEFAULT_DEADLINE_SETTINGS } from './deadlines.js';
+import { validateRoutingSettings, DEFAULT_PRIORITY_MAP } from './routing.js';
+import { validateMeetingRuleSettings, getSkipReason } from './meeting-rules.js';
+import { validateTemplate, validateTemplateSettings, getTemplate, DEFAULT_TEMPLATE, TEMPLATE_FIELDS } from './templates.js';
 import * as store from './store.js';
-import { startWatcher, stopWatcher, processNewMeetings } from './watcher.js';
+import { startWatcher, stopWatcher, processNewMeetings, queueMeeting } from './watcher.js';
+import { getJob, listJobs, getActiveJob, cancelJob } from './jobs.js';
+import { startSync, syncIssues } from './sync.js';
+import { publishSummary } from './summaries.js';
+import { pushItemEdits, undoIssueCreation } from './issue-updates.js';
+import {
+  createIssueForItem,
+  createIssuesForItems,
+  resolveDuplicate,
+  summarizeResults,
+} from './creation.js';
+import { verifySignature, checkReplay, handleWebhookEvent } from './webhooks.js';
+import { publish, subscribe } from './events.js';
+import { getApiToken, checkToken, startSession, endSession, isAuthenticated, requireAuth } from './auth.js';
+import {
+  validate,
+  toViolations,
+  EMPTY_BODY,
+  SESSION_BODY,
+  ACTION_ITEM_UPDATE_BODY,
+  ACTION_ITEM_IDS_BODY,
+  TEAM_BODY,
+  CREATE_ISSUES_BODY,
+  RESOLVE_DUPLICATE_BODY,
+  PUBLISH_SUMMARY_BODY,
+  TEMPLATE_PREVIEW_BODY,
+  SETTINGS_BODY,
+  WEBHOOK_BODY,
+  ACTION_ITEMS_QUERY,
+  JOBS_QUERY,
+  TEAM_QUERY,
+} from './requests.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Event stream: how soon browsers reconnect, and how often an idle stream is kept alive
+const EVENT_RETRY_MS = 3000;
+const EVENT_HEARTBEAT_MS = 25000;
+
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Browsers may only call the API from the UI's own origin, unless CORS_ORIGINS lists others
+app.use(cors({ origin: CONFIG.corsOrigins.length > 0 ? CONFIG.corsOrigins : false, credentials: true }));
+// Keep the raw body for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.static(join(__dirname, '..', 'public')));
+app.use('/api', requireAuth);
 
 // Validate configuration on startup
-validateConfig();
+validateConfig(store.getSettings());
+getApiToken();
 
 // ========== API Routes ==========
 
+// Whether the browser is signed in
+app.get('/api/session', (req, res) => {
+  res.json({ authenticated: isAuthenticated(req) });
+});
+
+// Sign in with the API token; sets the session cookie
+app.post('/api/session', validate({ body: SESSION_BODY }), (req, res) => {
+  if (!checkToken(req.body.token)) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  startSession(res);
+  res.json({ authenticated: true });
+});
+
+// Sign out
+app.delete('/api/session', (req, res) => {
+  endSession(res);
+  res.json({ authenticated: false });
+});
+
+// Live updates as Server-Sent Events (see events.js for the event types)
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+  const unsubscribe = subscribe(event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+  });
+  // Comments keep proxies and idle timeouts from closing the stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // Health check
 app.get('/api/health', async (req, res) => {
   const linearStatus = await testConnection();
+  const storeStatus = store.getStoreStatus();
   res.json({
-    status: 'ok',
+    // Degraded while a quarantined store file is waiting to be looked at
+    status: storeStatus.quarantined.length > 0 ? 'degraded' : 'ok',
     linear: linearStatus,
     granolaCachePath: CONFIG.granolaCachePath,
+    store: storeStatus,
     stats: store.getStats(),
   });
 });
 
+// Stop reporting quarantined store files in /api/health
+app.post('/api/store/dismiss-quarantine', validate({ body: EMPTY_BODY }), (req, res) => {
+  try {
+    store.dismissQuarantine();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shown in the template preview until a meeting has been processed
+const SAMPLE_ACTION_ITEM = {
+  id: 'sample',
+  title: 'Send the revised proposal to Acme',
+  description: 'Include the updated pricing discussed in the meeting.',
+  assignee: 'Alice',
+  priority: 'High',
+  deadline: 'Friday',
+  confidence: 0.9,
+  meetingTitle: 'Acme sync',
+  meetingDate: new Date().toISOString(),
+  meetingParticipants: ['alice@example.com', 'bob@example.com'],
+  citations: [{ quote: "I'll send the revised proposal by Friday.", speaker: 'Alice' }],
+};
+
+/**
+ * Settings for a creation run, with an optional per-request creation mode
+ */
+function getCreationSettings(creationMode) {
+  const settings = store.getSettings();
+  return creationMode ? { ...settings, creationMode } : settings;
+}
+
+/**
+ * Publish each item's result of a bulk creation run as it finishes, so the UI
+ * can show progress before the whole run is done
+ */
+function publishCreationProgress(runId) {
+  return (result, done, total) => publish('creation-progress', { runId, done, total, ...result });
+}
+
+/**
+ * Split bulk IDs into those that can move to a status and per-item failures
+ * @returns {Object} { allowed: [ids], failures: Map of id -> result }
+ */
+function checkBulkTransitions(ids, status) {
+  const allowed = [];
+  const failures = new Map();
+
+  for (const id of new Set(ids)) {
+    const item = store.getActionItem(id);
+    if (!item) {
+      failures.set(id, { id, success: false, error: 'Action item not found' });
+    } else if (!store.canTransition(item.status, status)) {
+      failures.set(id, { id, success: false, error: `Cannot change status from ${item.status} to ${status}` });
+    } else {
+      allowed.push(id);
+    }
+  }
+
+  return { allowed, failures };
+}
+
 // Get all meetings from Granola
 app.get('/api/meetings', (req, res) => {
   try {
     const { meetings } = loadGranolaData();
     const processed = store.getStats().totalMeetingsProcessed;
+    const settings = store.getSettings();
+
+    const approvedByMeeting = {};
+    for (const item of store.findActionItems({ status: 'approved' })) {
+      approvedByMeeting[item.meetingId] = (approvedByMeeting[item.meetingId] || 0) + 1;
+    }
 
     res.json({
       meetings: meetings.map(m => ({
@@ -48,6 +219,14 @@ app.get('/api/meetings', (req, res) => {
         hasNotes: !!m.notes,
         hasTranscript: !!m.transcript,
         processed: store.isMeetingProcessed(m.id),
+        job: getActiveJob(m.id),
+        processingFailure: store.getProcessingFailure(m.id),
+        // Why the watcher leaves it alone; it can still be processed by hand
+        skipped: store.isMeetingProcessed(m.id) ? null : getSkipReason(m, settings),
+        approvedCount: approvedByMeeting[m.id] || 0,
+        parentIssue: store.getMeetingParentIssue(m.id),
+        summary: store.getProcessedMeeting(m.id)?.summary || null,
+        summaryPublications: store.getProcessedMeeting(m.id)?.summaryPublications || [],
       })),
       total: meetings.length,
       processed,
@@ -57,6 +236,16 @@ app.get('/api/meetings', (req, res) => {
   }
 });
 
+// Meetings that failed to process too many times
+app.get('/api/meetings/failed', (req, res) => {
+  try {
+    const meetings = store.getFailedMeetings();
+    res.json({ meetings, total: meetings.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get a specific meeting
 app.get('/api/meetings/:id', (req, res) => {
   try {
@@ -71,42 +260,49 @@ app.get('/api/meetings/:id', (req, res) => {
 });
 
 // Process a specific meeting (extract action items)
-app.post('/api/meetings/:id/process', async (req, res) => {
+app.post('/api/meetings/:id/process', validate({ body: EMPTY_BODY }), (req, res) => {
   try {
     const meeting = getMeetingById(req.params.id);
     if (!meeting) {
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    const settings = store.getSettings();
-    const actionItems = await extractActionItems(meeting, settings.customPrompt);
+    // Runs in the background; poll GET /api/jobs/:id for the result
+    const job = queueMeeting(meeting, 'ui');
+    res.status(202).json({ job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Save to store
-    store.saveActionItems(actionItems);
-    store.markMeetingProcessed(meeting.id, actionItems.map(i => i.id));
+// Forget a meeting's failed attempts and process it again
+app.post('/api/meetings/:id/retry', validate({ body: EMPTY_BODY }), (req, res) => {
+  try {
+    const meeting = getMeetingById(req.params.id);
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+    if (!store.clearProcessingFailure(meeting.id)) {
+      return res.status(409).json({ error: 'Meeting has no failed attempts to retry' });
+    }
 
-    res.json({
-      meetingId: meeting.id,
-      actionItems,
-      count: actionItems.length,
-    });
+    const job = queueMeeting(meeting, 'ui');
+    res.status(202).json({ job });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get all action items
-app.get('/api/action-items', (req, res) => {
+app.get('/api/action-items', validate({ query: ACTION_ITEMS_QUERY }), (req, res) => {
   try {
-    const status = req.query.status;
-    let items = store.getAllActionItems();
-
-    if (status) {
-      items = items.filter(i => i.status === status);
-    }
-
-    // Sort by extraction date, newest first
-    items.sort((a, b) => new Date(b.extractedAt) - new Date(a.extractedAt));
+    // status accepts a comma-separated list, e.g. ?status=created,issue_missing
+    // Sorted by extraction date, newest first
+    const items = store.findActionItems({
+      status: req.query.status ? req.query.status.split(',') : null,
+      meetingId: req.query.meetingId,
+      since: req.query.since,
+    });
 
     res.json({ actionItems: items, total: items.length });
   } catch (error) {
@@ -125,9 +321,43 @@ app.get('/api/action-items/pending', (req, res) => {
 });
 
 // Update an action item
-app.patch('/api/action-items/:id', (req, res) => {
+// Edits to created items are pushed to Linear; 409 with the conflicting fields
+// if they were changed in Linear meanwhile, unless the body has force: true
+app.patch('/api/action-items/:id', validate({ body: ACTION_ITEM_UPDATE_BODY }), async (req, res) => {
   try {
-    const updated = store.updateActionItem(req.params.id, req.body);
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    // Re-resolve the due date when the deadline text is edited
+    const { force, ...updates } = req.body;
+    if (updates.status && !store.REVIEW_STATUSES.includes(item.status)) {
+      return res.status(409).json({ error: `The status of ${item.status.replace('_', ' ')} items follows their Linear issue` });
+    }
+    if (updates.status && !store.canTransition(item.status, updates.status)) {
+      return res.status(409).json({ error: `Cannot change status from ${item.status} to ${updates.status}` });
+    }
+    if ('deadline' in updates) {
+      Object.assign(updates, parseItemDeadline({ ...item, ...updates }, store.getSettings()));
+    }
+
+    // Items linked to an existing issue (linkedVia) only edit the local copy; that issue is not ours
+    if (item.status === 'created' && item.linearIssue && !item.linearIssue.linkedVia) {
+      const result = await pushItemEdits(item, { ...item, ...updates }, store.getSettings(), { force: !!force });
+      if (result.conflicts) {
+        return res.status(409).json({
+          error: `${item.linearIssue.identifier} was changed in Linear`,
+          conflicts: result.conflicts,
+        });
+      }
+      if (result.pushed.length > 0) {
+        updates.linearIssue = { ...item.linearIssue, baseline: result.baseline };
+        updates.linearPushedAt = new Date().toISOString();
+      }
+    }
+
+    const updated = store.updateActionItem(req.params.id, updates, { source: 'ui' });
     if (!updated) {
       return res.status(404).json({ error: 'Action item not found' });
     }
@@ -138,97 +368,348 @@ app.patch('/api/action-items/:id', (req, res) => {
 });
 
 // Approve an action item
-app.post('/api/action-items/:id/approve', (req, res) => {
+app.post('/api/action-items/:id/approve', validate({ body: EMPTY_BODY }), (req, res) => {
   try {
-    const updated = store.approveActionItem(req.params.id);
-    if (!updated) {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
       return res.status(404).json({ error: 'Action item not found' });
     }
-    res.json(updated);
+    if (!store.canTransition(item.status, 'approved')) {
+      return res.status(409).json({ error: `Cannot change status from ${item.status} to approved` });
+    }
+    res.json(store.approveActionItem(item.id, 'ui'));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Reject an action item
-app.post('/api/action-items/:id/reject', (req, res) => {
+app.post('/api/action-items/:id/reject', validate({ body: EMPTY_BODY }), (req, res) => {
   try {
-    const updated = store.rejectActionItem(req.params.id);
-    if (!updated) {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
       return res.status(404).json({ error: 'Action item not found' });
     }
-    res.json(updated);
+    if (!store.canTransition(item.status, 'rejected')) {
+      return res.status(409).json({ error: `Cannot change status from ${item.status} to rejected` });
+    }
+    res.json(store.rejectActionItem(item.id, 'ui'));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Bulk approve
-app.post('/api/action-items/bulk-approve', (req, res) => {
+app.post('/api/action-items/bulk-approve', validate({ body: ACTION_ITEM_IDS_BODY }), (req, res) => {
   try {
-    const { ids } = req.body;
-    const results = ids.map(id => ({
-      id,
-      success: !!store.approveActionItem(id),
-    }));
-    res.json({ results });
+    const { allowed, failures } = checkBulkTransitions(req.body.ids, 'approved');
+    const { batchId } = store.approveActionItems(allowed);
+    const results = req.body.ids.map(id => failures.get(id) || { id, success: true });
+    res.json({ results, batchId });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Bulk reject
-app.post('/api/action-items/bulk-reject', (req, res) => {
+app.post('/api/action-items/bulk-reject', validate({ body: ACTION_ITEM_IDS_BODY }), (req, res) => {
+  try {
+    const { allowed, failures } = checkBulkTransitions(req.body.ids, 'rejected');
+    const { batchId } = store.rejectActionItems(allowed);
+    const results = req.body.ids.map(id => failures.get(id) || { id, success: true });
+    res.json({ results, batchId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// An action item's history of changes, oldest first
+app.get('/api/action-items/:id/history', (req, res) => {
   try {
-    const { ids } = req.body;
-    const results = ids.map(id => ({
-      id,
-      success: !!store.rejectActionItem(id),
-    }));
+    if (!store.getActionItem(req.params.id)) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+    res.json({ history: store.getActionItemHistory(req.params.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo an action item's last change
+app.post('/api/action-items/:id/undo', validate({ body: EMPTY_BODY }), (req, res) => {
+  try {
+    const result = store.undoLastChange(req.params.id, 'ui');
+    if (!result) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo a bulk approve or reject, by the batchId it returned
+app.post('/api/history/batches/:batchId/undo', validate({ body: EMPTY_BODY }), (req, res) => {
+  try {
+    const results = store.undoBatch(req.params.batchId, 'ui');
+    if (!results) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
     res.json({ results });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Re-run assignee resolution (e.g. after changing aliases)
+app.post('/api/action-items/:id/resolve-assignee', validate({ body: EMPTY_BODY }), async (req, res) => {
+  try {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    const resolved = applyResolution(item, await getUsers(), store.getSettings());
+    const updated = store.updateActionItem(item.id, {
+      assigneeId: resolved.assigneeId,
+      assigneeName: resolved.assigneeName,
+      assigneeResolution: resolved.assigneeResolution,
+    }, { action: 'resolve_assignee', source: 'ui' });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview which routing rule fires and the issue payload that would be sent
+app.get('/api/action-items/:id/routing-preview', validate({ query: TEAM_QUERY }), async (req, res) => {
+  try {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    const { payload, team, rule } = await buildIssuePayload(item, req.query.teamId, store.getSettings());
+    res.json({ rule, team, payload });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create Linear issue from an action item
-app.post('/api/action-items/:id/create-issue', async (req, res) => {
+app.post('/api/action-items/:id/create-issue', validate({ body: TEAM_BODY }), async (req, res) => {
+  try {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+    if (item.status !== 'approved') {
+      return res.status(409).json({ error: 'Only approved items can be created in Linear' });
+    }
+
+    // Without an explicit team, routing rules and the default team decide
+    const result = await createIssueForItem(item, req.body.teamId, store.getSettings());
+    if (result.status === 'duplicate') {
+      return res.status(409).json(result);
+    }
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search the target team's open issues for likely duplicates of an item
+app.get('/api/action-items/:id/duplicates', validate({ query: TEAM_QUERY }), async (req, res) => {
   try {
     const item = store.getActionItem(req.params.id);
     if (!item) {
       return res.status(404).json({ error: 'Action item not found' });
     }
 
-    const teamId = req.body.teamId || store.getSettings().linearTeamId;
-    const issue = await createIssue(item, teamId);
+    const candidates = await findSimilarIssues(item, req.query.teamId, store.getSettings());
+    store.updateActionItem(item.id, {
+      duplicateCandidates: candidates,
+      duplicateCheckedAt: new Date().toISOString(),
+    });
+    res.json({ candidates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Decide what to do with an item that looks like an existing issue
+app.post('/api/action-items/:id/resolve-duplicate', validate({ body: RESOLVE_DUPLICATE_BODY }), async (req, res) => {
+  try {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+    if (item.status !== 'approved') {
+      return res.status(409).json({ error: 'Only approved items can be resolved' });
+    }
 
-    store.markAsCreated(item.id, issue);
+    const result = await resolveDuplicate(item, req.body.action, req.body.issueId, req.body.teamId, store.getSettings());
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
 
-    res.json({ success: true, issue });
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Create Linear issues from all approved items
-app.post('/api/action-items/create-all', async (req, res) => {
+app.post('/api/action-items/create-all', validate({ body: CREATE_ISSUES_BODY }), async (req, res) => {
   try {
-    const items = store.getAllActionItems().filter(i => i.status === 'approved');
+    const items = store.findActionItems({ status: 'approved' });
     if (items.length === 0) {
       return res.json({ message: 'No approved items to create', results: [] });
     }
 
-    const teamId = req.body.teamId || store.getSettings().linearTeamId;
-    const results = await createIssues(items, teamId);
+    const settings = getCreationSettings(req.body.creationMode);
 
-    // Mark successful ones as created
-    for (const result of results) {
-      if (result.success) {
-        store.markAsCreated(result.actionItemId, result.issue);
-      }
+    // Items left approved by an interrupted run keep their creationRef and are adopted, not duplicated
+    const runId = randomUUID();
+    const results = await createIssuesForItems(items, { teamId: req.body.teamId, settings, onProgress: publishCreationProgress(runId) });
+
+    res.json({ runId, summary: summarizeResults(results), results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Publish a meeting's summary to Linear as a project document or issue comment
+app.post('/api/meetings/:id/publish-summary', validate({ body: PUBLISH_SUMMARY_BODY }), async (req, res) => {
+  try {
+    const meeting = getMeetingById(req.params.id);
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    res.json({ results });
+    const publication = await publishSummary(meeting, req.body.target, {
+      projectId: req.body.projectId || store.getSettings().summaryProjectId,
+    });
+    res.json(publication);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create Linear issues from a meeting's approved items
+app.post('/api/meetings/:id/create-issues', validate({ body: CREATE_ISSUES_BODY }), async (req, res) => {
+  try {
+    const items = store.findActionItems({ meetingId: req.params.id, status: 'approved' });
+    if (items.length === 0) {
+      return res.json({ message: 'No approved items to create', results: [] });
+    }
+
+    const settings = getCreationSettings(req.body.creationMode);
+
+    const runId = randomUUID();
+    const results = await createIssuesForItems(items, { teamId: req.body.teamId, settings, onProgress: publishCreationProgress(runId) });
+
+    res.json({
+      runId,
+      summary: summarizeResults(results),
+      parentIssue: store.getMeetingParentIssue(req.params.id),
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recreate the Linear issue of an item whose issue was deleted or archived
+app.post('/api/action-items/:id/recreate', validate({ body: TEAM_BODY }), async (req, res) => {
+  try {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+    if (item.status !== 'issue_missing') {
+      return res.status(409).json({ error: 'Only items whose Linear issue is missing can be recreated' });
+    }
+
+    const detached = store.detachLinearIssue(item.id, 'ui');
+    const result = await createIssueForItem(detached, req.body.teamId, store.getSettings());
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo issue creation: archive the Linear issue and return the item to approved
+app.post('/api/action-items/:id/undo-create', validate({ body: EMPTY_BODY }), async (req, res) => {
+  try {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+    if (item.status !== 'created' || !item.linearIssue) {
+      return res.status(409).json({ error: 'Only items with a created Linear issue can be undone' });
+    }
+
+    res.json(await undoIssueCreation(item));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dismiss an item whose Linear issue was deleted or archived
+app.post('/api/action-items/:id/dismiss', validate({ body: EMPTY_BODY }), (req, res) => {
+  try {
+    const item = store.getActionItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+    if (item.status !== 'issue_missing') {
+      return res.status(409).json({ error: 'Only items whose Linear issue is missing can be dismissed' });
+    }
+
+    res.json(store.rejectActionItem(item.id, 'ui'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sync created issues' state from Linear now
+app.post('/api/linear/sync', validate({ body: EMPTY_BODY }), async (req, res) => {
+  try {
+    const results = await syncIssues();
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Receive Linear webhooks (Issue and Comment events)
+app.post('/api/linear/webhook', validate({ body: WEBHOOK_BODY }), (req, res) => {
+  try {
+    if (!CONFIG.linearWebhookSecret) {
+      return res.status(503).json({ error: 'LINEAR_WEBHOOK_SECRET is not configured' });
+    }
+    if (!verifySignature(req.rawBody, req.get('linear-signature'), CONFIG.linearWebhookSecret)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const replayError = checkReplay(req.body, req.get('linear-delivery'));
+    if (replayError) {
+      return res.status(401).json({ error: replayError });
+    }
+
+    res.json(handleWebhookEvent(req.body));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -244,6 +725,16 @@ app.get('/api/linear/teams', async (req, res) => {
   }
 });
 
+// Get Linear users (for the assignee picker)
+app.get('/api/linear/users', async (req, res) => {
+  try {
+    const users = await getUsers();
+    res.json({ users });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get settings
 app.get('/api/settings', (req, res) => {
   try {
@@ -251,6 +742,15 @@ app.get('/api/settings', (req, res) => {
     res.json({
       ...settings,
       defaultPrompt: getDefaultPrompt(),
+      defaultChunking: getDefaultChunking(),
+      llmProviders: PROVIDERS,
+      defaultLlmProvider: CONFIG.llmProvider,
+      defaultDeadlineSettings: DEFAULT_DEADLINE_SETTINGS,
+      defaultPriorityMap: DEFAULT_PRIORITY_MAP,
+      defaultModels: getDefaultModels(),
+      defaultTemplate: DEFAULT_TEMPLATE,
+      templateFields: TEMPLATE_FIELDS,
+      defaultProcessMeetingsAfter: CONFIG.processMeetingsAfter,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -258,8 +758,21 @@ app.get('/api/settings', (req, res) => {
 });
 
 // Update settings
-app.patch('/api/settings', (req, res) => {
+app.patch('/api/settings', validate({ body: SETTINGS_BODY }), (req, res) => {
   try {
+    const errors = validateRoutingSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid routing settings', details: toViolations(errors) });
+    }
+    const meetingRuleErrors = validateMeetingRuleSettings(req.body);
+    if (meetingRuleErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid meeting rules', details: toViolations(meetingRuleErrors) });
+    }
+    const templateErrors = validateTemplateSettings(req.body);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid description template', details: toViolations(templateErrors) });
+    }
+
     const updated = store.updateSettings(req.body);
     res.json(updated);
   } catch (error) {
@@ -267,6 +780,32 @@ app.patch('/api/settings', (req, res) => {
   }
 });
 
+// Render a description template against an action item (or a sample) without saving it
+app.post('/api/templates/preview', validate({ body: TEMPLATE_PREVIEW_BODY }), (req, res) => {
+  try {
+    const settings = store.getSettings();
+    const template = req.body.template || getTemplate(settings, req.body.teamId);
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid description template',
+        details: errors.map(message => ({ in: 'body', path: 'template', message })),
+      });
+    }
+
+    const item = (req.body.actionItemId && store.getActionItem(req.body.actionItemId))
+      || store.getAllActionItems().find(i => i.status !== 'rejected')
+      || SAMPLE_ACTION_ITEM;
+
+    res.json({
+      actionItemId: item.id,
+      description: renderDescription(item, req.body.teamId, settings, template),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get stats
 app.get('/api/stats', (req, res) => {
   try {
@@ -277,29 +816,66 @@ app.get('/api/stats', (req, res) => {
 });
 
 // Manually trigger processing
-app.post('/api/process', async (req, res) => {
+app.post('/api/process', validate({ body: EMPTY_BODY }), (req, res) => {
   try {
-    const results = await processNewMeetings();
-    res.json(results);
+    res.status(202).json(processNewMeetings('ui'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List processing jobs, newest first
+app.get('/api/jobs', validate({ query: JOBS_QUERY }), (req, res) => {
+  try {
+    const jobs = listJobs({
+      status: req.query.status ? req.query.status.split(',') : null,
+      meetingId: req.query.meetingId,
+    });
+    res.json({ jobs, total: jobs.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a job's status, result or error
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', validate({ body: EMPTY_BODY }), (req, res) => {
+  try {
+    const result = cancelJob(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.json(result.job);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Reset store (for testing)
-app.post('/api/reset', (req, res) => {
+app.post('/api/reset', validate({ body: EMPTY_BODY }), (req, res) => {
   store.clearStore();
   res.json({ success: true });
 });
 
 // ========== Start Server ==========
 
-app.listen(CONFIG.port, () => {
+app.listen(CONFIG.port, CONFIG.host, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║        Granola → Linear Integration                       ║
 ╠═══════════════════════════════════════════════════════════╣
-║  🌐 Web UI:     http://localhost:${CONFIG.port}                  ║
+║  🌐 Web UI:     http://${CONFIG.host === '127.0.0.1' ? 'localhost' : CONFIG.host}:${CONFIG.port}                  ║
 ║  📁 Watching:   ${CONFIG.granolaCachePath.substring(0, 40)}...  ║
 ║  ⏱️  Interval:   ${CONFIG.pollInterval / 1000}s                                  ║
 ╚═══════════════════════════════════════════════════════════╝
@@ -307,4 +883,7 @@ app.listen(CONFIG.port, () => {
 
   // Start the file watcher
   startWatcher();
+
+  // Keep created issues in sync with Linear
+  startSync();
 });
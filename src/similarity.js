@@ -0,0 +1,79 @@
+import { createHash } from 'crypto';
+
+// Words that carry no meaning when comparing action item titles
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'to', 'of', 'for', 'on', 'in', 'with', 'at', 'by',
+  'from', 'about', 'up', 'our', 'we', 'i', 'is', 'be', 'it', 'this', 'that',
+]);
+
+/**
+ * Normalize free text for comparison: lowercase, strip accents,
+ * punctuation and repeated whitespace
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into a set of meaningful tokens
+ */
+function tokenize(text) {
+  return new Set(
+    normalizeText(text)
+      .split(' ')
+      .filter(word => word && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Score how similar two titles are, from 0 (unrelated) to 1 (same)
+ * Uses the Dice coefficient over meaningful tokens.
+ */
+export function titleSimilarity(a, b) {
+  if (normalizeText(a) === normalizeText(b)) {
+    return 1;
+  }
+
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const token of tokensA) {
+    if (tokensB.has(token)) shared++;
+  }
+
+  return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Find the candidate whose title is most similar to the given title
+ * Returns { match, score } or null if nothing reaches the threshold.
+ */
+export function findBestMatch(title, candidates, threshold, getTitle = c => c.title) {
+  let best = null;
+
+  for (const candidate of candidates) {
+    const score = titleSimilarity(title, getTitle(candidate));
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { match: candidate, score };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Short, stable hash of normalized text
+ */
+export function contentHash(text) {
+  return createHash('sha1').update(normalizeText(text)).digest('hex').slice(0, 12);
+}
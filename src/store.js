@@ -1,188 +1,939 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join } from 'path';
+/**
+ * Persistent store
+ *
+ * Action items, processed meetings and settings live in a SQLite database
+ * (data/store.db). Each record is kept as JSON, with the fields that are
+ * queried (status, meeting, dates, Linear issue) copied into indexed columns.
+ * Every write is a transaction, so a crash never leaves a half-written store,
+ * and the server, watcher and notifier share one database instead of each
+ * holding its own in-memory copy.
+ *
+ * Changes to an item's status and content are also appended to its history
+ * (who made them and the previous and new values), which undo replays
+ * backwards; see updateActionItem.
+ *
+ * The schema is versioned (see migrations.js). A database that cannot be read
+ * is moved to data/quarantine rather than overwritten, and a fresh one is
+ * started; quarantined files are reported by getStoreStatus.
+ *
+ * A data/store.json left by earlier versions is imported on first open.
+ *
+ * Extractions, status changes, created issues and processed meetings are
+ * published to the event bus (events.js) once their transaction commits.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { basename, join } from 'path';
+import Database from 'better-sqlite3';
 import { CONFIG } from './config.js';
+import { findBestMatch } from './similarity.js';
+import { migrate, SCHEMA_VERSION } from './migrations.js';
+import { publish } from './events.js';
+
+const DB_FILE = join(CONFIG.dataDir, 'store.db');
+const LEGACY_FILE = join(CONFIG.dataDir, 'store.json');
+
+// Titles at least this similar within a meeting are treated as the same action item
+const DUPLICATE_TITLE_THRESHOLD = 0.8;
+
+// How long a write waits for another process holding the database
+const BUSY_TIMEOUT_MS = 5000;
+
+// Legal status changes. created and issue_missing are only reached through Linear
+// (creating the issue, or sync finding it deleted or archived)
+export const STATUS_TRANSITIONS = {
+  pending_review: ['approved', 'rejected'],
+  approved: ['pending_review', 'rejected', 'created'],
+  rejected: ['pending_review', 'approved'],
+  created: ['issue_missing', 'approved'],
+  issue_missing: ['created', 'approved', 'rejected'],
+};
+
+export const ACTION_ITEM_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Statuses a reviewer can set directly
+export const REVIEW_STATUSES = ['pending_review', 'approved', 'rejected'];
+
+// Who can change an action item, as recorded in its history
+export const HISTORY_SOURCES = ['ui', 'bulk', 'auto-rule', 'sync', 'webhook', 'watcher', 'system'];
+
+// Changing any of these records a history entry (with the other fields changed alongside)
+const AUDITED_FIELDS = ['status', 'title', 'description', 'assignee', 'assigneeId', 'assigneeName', 'priority', 'deadline', 'dueDate'];
+
+// Changes that undo refuses, and what to do instead
+const NOT_UNDOABLE = {
+  extract: 'Extraction cannot be undone; reject the item instead',
+  create: 'Use undo creation to archive the Linear issue',
+  detach: 'The Linear issue was archived; create the issue again instead',
+  sync: 'Changes made in Linear cannot be undone here',
+};
+
+// Where unreadable stores are moved, and backups written before migrating
+const QUARANTINE_DIR = join(CONFIG.dataDir, 'quarantine');
+const BACKUP_DIR = join(CONFIG.dataDir, 'backups');
+
+// Longest wait between attempts at processing a failing meeting
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Errors meaning the database file itself is unreadable
+const CORRUPTION_ERRORS = ['SQLITE_CORRUPT', 'SQLITE_NOTADB'];
+
+// Lazy-initialized database
+let db = null;
+const statements = new Map();
+let migration = null;
 
-const DATA_FILE = join(CONFIG.dataDir, 'store.json');
+// Events of the open transaction, published when it commits
+let pendingEvents = [];
 
-// Ensure data directory exists
-if (!existsSync(CONFIG.dataDir)) {
-  mkdirSync(CONFIG.dataDir, { recursive: true });
+/**
+ * Open the database, check it is readable and bring its schema up to date
+ */
+function openDatabase() {
+  const database = new Database(DB_FILE);
+  try {
+    database.pragma('journal_mode = WAL');
+    database.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+
+    const check = database.pragma('quick_check', { simple: true });
+    if (check !== 'ok') {
+      throw Object.assign(new Error(`Integrity check failed: ${check}`), { code: 'SQLITE_CORRUPT' });
+    }
+
+    migration = migrate(database, { backupDir: BACKUP_DIR });
+    return database;
+  } catch (error) {
+    database.close();
+    throw error;
+  }
 }
 
 /**
- * Load data from persistent store
+ * Move an unreadable store file (and its WAL files) aside, never overwriting it
+ * @returns {Object} { file, path, reason, quarantinedAt }
  */
-function loadStore() {
-  if (!existsSync(DATA_FILE)) {
-    return {
-      processedMeetings: {},  // meetingId -> { processedAt, actionItemIds }
-      actionItems: {},        // actionItemId -> action item data
-      createdIssues: {},      // actionItemId -> Linear issue data
-      settings: {
-        customPrompt: null,
-        linearTeamId: null,
-      },
-      lastProcessedTime: null,
-    };
+function quarantine(file, reason) {
+  if (!existsSync(QUARANTINE_DIR)) {
+    mkdirSync(QUARANTINE_DIR, { recursive: true });
   }
 
-  try {
-    const raw = readFileSync(DATA_FILE, 'utf-8');
-    return JSON.parse(raw);
-  } catch (error) {
-    console.error('Error loading store:', error.message);
-    return {
-      processedMeetings: {},
-      actionItems: {},
-      createdIssues: {},
-      settings: {},
-      lastProcessedTime: null,
-    };
+  const quarantinedAt = new Date().toISOString();
+  const path = join(QUARANTINE_DIR, `${basename(file)}.${quarantinedAt.replace(/[:.]/g, '-')}`);
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (existsSync(file + suffix)) {
+      renameSync(file + suffix, path + suffix);
+    }
   }
+
+  console.error(`⚠️ Could not read ${file} (${reason}); moved it to ${path}`);
+  return { file: basename(file), path, reason, quarantinedAt };
+}
+
+function recordQuarantine(entry) {
+  setMeta('quarantined', [...(getMeta('quarantined') || []), entry]);
+}
+
+function getDb() {
+  if (!db) {
+    if (!existsSync(CONFIG.dataDir)) {
+      mkdirSync(CONFIG.dataDir, { recursive: true });
+    }
+
+    try {
+      db = openDatabase();
+    } catch (error) {
+      if (!CORRUPTION_ERRORS.includes(error.code)) {
+        throw error;
+      }
+      const entry = quarantine(DB_FILE, error.message);
+      db = openDatabase();
+      recordQuarantine(entry);
+    }
+
+    if (existsSync(LEGACY_FILE) && getMeta('importedFrom') === null) {
+      try {
+        const counts = importJsonStore(LEGACY_FILE);
+        renameSync(LEGACY_FILE, `${LEGACY_FILE}.imported`);
+        console.log(`📦 Imported ${counts.actionItems} action item(s) and ${counts.meetings} meeting(s) from store.json`);
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) {
+          throw error;
+        }
+        recordQuarantine(quarantine(LEGACY_FILE, error.message));
+      }
+    }
+  }
+  return db;
+}
+
+/**
+ * Prepared statements are cached per SQL string
+ */
+function statement(sql) {
+  if (!statements.has(sql)) {
+    statements.set(sql, getDb().prepare(sql));
+  }
+  return statements.get(sql);
 }
 
 /**
- * Save data to persistent store
+ * Run a function in a write transaction
+ * Immediate, so concurrent writers from other processes wait for the lock
+ * instead of failing halfway through.
  */
-function saveStore(data) {
+function transaction(fn) {
+  const database = getDb();
+  const outermost = !database.inTransaction;
+  const queued = pendingEvents.length;
+
+  let result;
   try {
-    writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+    result = database.transaction(fn).immediate();
   } catch (error) {
-    console.error('Error saving store:', error.message);
+    // Drop the events of the work rolled back
+    pendingEvents.length = queued;
+    throw error;
+  }
+
+  if (outermost) {
+    const events = pendingEvents;
+    pendingEvents = [];
+    events.forEach(({ type, data }) => publish(type, data));
+  }
+  return result;
+}
+
+/**
+ * Publish an event when the current transaction commits
+ */
+function queueEvent(type, data) {
+  pendingEvents.push({ type, data });
+}
+
+const parseRows = rows => rows.map(row => JSON.parse(row.data));
+
+function getMeta(key) {
+  const row = statement('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : null;
+}
+
+function setMeta(key, value) {
+  statement('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    .run(key, JSON.stringify(value));
+}
+
+function writeActionItem(item) {
+  statement(`
+    INSERT INTO action_items (id, meeting_id, status, meeting_date, extracted_at, linear_issue_id, data)
+    VALUES (@id, @meetingId, @status, @meetingDate, @extractedAt, @linearIssueId, @data)
+    ON CONFLICT (id) DO UPDATE SET
+      meeting_id = excluded.meeting_id,
+      status = excluded.status,
+      meeting_date = excluded.meeting_date,
+      extracted_at = excluded.extracted_at,
+      linear_issue_id = excluded.linear_issue_id,
+      data = excluded.data
+  `).run({
+    id: item.id,
+    meetingId: item.meetingId ?? null,
+    status: item.status || 'pending_review',
+    meetingDate: item.meetingDate ?? null,
+    extractedAt: item.extractedAt ?? null,
+    linearIssueId: item.linearIssue?.id ?? null,
+    data: JSON.stringify(item),
+  });
+  return item;
+}
+
+/**
+ * Whether an action item can move from one status to another
+ */
+export function canTransition(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * The fields an update changes, as { field: { from, to } }
+ */
+function diffFields(item, updates) {
+  return Object.fromEntries(
+    Object.entries(updates)
+      .filter(([field, value]) => !sameValue(item[field], value))
+      .map(([field, value]) => [field, { from: item[field] ?? null, to: value ?? null }])
+  );
+}
+
+/**
+ * Append an entry to an action item's history
+ * @param {Object} audit - { action, source, batchId, undoes }
+ */
+function recordHistory(actionItemId, changes, { action = 'edit', source = 'system', batchId = null, undoes = null } = {}) {
+  statement(`
+    INSERT INTO action_item_history (action_item_id, action, source, batch_id, changes, undoes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(actionItemId, action, source, batchId, JSON.stringify(changes), undoes, new Date().toISOString());
+
+  if (action === 'extract') {
+    queueEvent('item-extracted', { id: actionItemId, source });
+  } else if (changes.status) {
+    queueEvent('item-status-changed', { id: actionItemId, from: changes.status.from, to: changes.status.to, action, source, batchId });
   }
+  if (action === 'create') {
+    queueEvent('issue-created', { id: actionItemId, issue: changes.linearIssue?.to ?? null, source });
+  }
+}
+
+const HISTORY_COLUMNS = `
+  id, action_item_id, action, source, batch_id, changes, undoes, created_at,
+  EXISTS (SELECT 1 FROM action_item_history u WHERE u.undoes = h.id) AS undone
+`;
+
+function toHistoryEntry(row) {
+  return {
+    id: row.id,
+    actionItemId: row.action_item_id,
+    action: row.action,
+    source: row.source,
+    batchId: row.batch_id,
+    changes: JSON.parse(row.changes),
+    undoes: row.undoes,
+    undone: !!row.undone,
+    at: row.created_at,
+  };
+}
+
+function getMeeting(meetingId) {
+  const row = statement('SELECT data FROM meetings WHERE id = ?').get(meetingId);
+  return row ? JSON.parse(row.data) : null;
 }
 
-// In-memory cache
-let store = loadStore();
+function writeMeeting(meetingId, meeting) {
+  statement(`
+    INSERT INTO meetings (id, processed_at, failed_at, data) VALUES (?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET processed_at = excluded.processed_at, failed_at = excluded.failed_at, data = excluded.data
+  `).run(meetingId, meeting.processedAt ?? null, meeting.processingFailure?.failedAt ?? null, JSON.stringify(meeting));
+  return meeting;
+}
+
+/**
+ * Import a store.json written by earlier versions
+ * Existing records with the same IDs are overwritten.
+ * @returns {Object} { actionItems, meetings } counts
+ */
+export function importJsonStore(path) {
+  const data = JSON.parse(readFileSync(path, 'utf-8'));
+  const actionItems = Object.values(data.actionItems || {});
+  const meetings = Object.entries(data.processedMeetings || {});
+
+  transaction(() => {
+    for (const item of actionItems) {
+      writeActionItem(item);
+    }
+    for (const [meetingId, meeting] of meetings) {
+      writeMeeting(meetingId, meeting);
+    }
+    setMeta('settings', { ...getMeta('settings'), ...data.settings });
+    if (data.lastProcessedTime) {
+      setMeta('lastProcessedTime', data.lastProcessedTime);
+    }
+    setMeta('importedFrom', { path, importedAt: new Date().toISOString() });
+  });
+
+  return { actionItems: actionItems.length, meetings: meetings.length };
+}
 
 /**
  * Check if a meeting has been processed
  */
 export function isMeetingProcessed(meetingId) {
-  return !!store.processedMeetings[meetingId];
+  return !!statement('SELECT 1 FROM meetings WHERE id = ? AND processed_at IS NOT NULL').get(meetingId);
 }
 
 /**
  * Mark a meeting as processed
+ * @param {Object} details - Extra fields to record, e.g. { summary }
  */
-export function markMeetingProcessed(meetingId, actionItemIds) {
-  store.processedMeetings[meetingId] = {
-    processedAt: new Date().toISOString(),
-    actionItemIds,
-  };
-  store.lastProcessedTime = new Date().toISOString();
-  saveStore(store);
+export function markMeetingProcessed(meetingId, actionItemIds, details = {}) {
+  transaction(() => {
+    const previous = getMeeting(meetingId) || {};
+    const previousIds = previous.actionItemIds || [];
+    writeMeeting(meetingId, {
+      ...previous,
+      processedAt: new Date().toISOString(),
+      actionItemIds: [...new Set([...previousIds, ...actionItemIds])],
+      processingFailure: null,
+      ...details,
+    });
+    setMeta('lastProcessedTime', new Date().toISOString());
+    queueEvent('meeting-processed', { meetingId, actionItems: actionItemIds.length });
+  });
+}
+
+/**
+ * Record a failed attempt at processing a meeting
+ * The next attempt waits CONFIG.retryDelay, doubling with each failure. After
+ * CONFIG.maxProcessingAttempts the meeting is marked failed and only retried
+ * by hand (see clearProcessingFailure).
+ * @returns {Object} The failure: { attempts, error, lastAttemptAt, nextRetryAt, failedAt }
+ */
+export function recordProcessingFailure(meetingId, { title, error }) {
+  return transaction(() => {
+    const previous = getMeeting(meetingId) || {};
+    const attempts = (previous.processingFailure?.attempts || 0) + 1;
+    const now = Date.now();
+    const failed = attempts >= CONFIG.maxProcessingAttempts;
+    const delay = Math.min(CONFIG.retryDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+    const processingFailure = {
+      attempts,
+      error,
+      lastAttemptAt: new Date(now).toISOString(),
+      nextRetryAt: failed ? null : new Date(now + delay).toISOString(),
+      failedAt: failed ? previous.processingFailure?.failedAt || new Date(now).toISOString() : null,
+    };
+    writeMeeting(meetingId, { ...previous, title, processingFailure });
+    return processingFailure;
+  });
+}
+
+/**
+ * Get a meeting's processing failure, if its last attempt failed
+ */
+export function getProcessingFailure(meetingId) {
+  return getMeeting(meetingId)?.processingFailure || null;
+}
+
+/**
+ * Meetings that reached the attempt limit, most recent first
+ * @returns {Array} [{ meetingId, title, processingFailure }]
+ */
+export function getFailedMeetings() {
+  return statement('SELECT id, data FROM meetings WHERE failed_at IS NOT NULL ORDER BY failed_at DESC')
+    .all()
+    .map(row => {
+      const { title = null, processingFailure } = JSON.parse(row.data);
+      return { meetingId: row.id, title, processingFailure };
+    });
+}
+
+/**
+ * Forget a meeting's failed attempts, so it is processed again
+ * @returns {Object} The failure cleared, or null if there was none
+ */
+export function clearProcessingFailure(meetingId) {
+  return transaction(() => {
+    const meeting = getMeeting(meetingId);
+    if (!meeting?.processingFailure) {
+      return null;
+    }
+    writeMeeting(meetingId, { ...meeting, processingFailure: null });
+    return meeting.processingFailure;
+  });
+}
+
+/**
+ * Get what was recorded when a meeting was processed
+ */
+export function getProcessedMeeting(meetingId) {
+  const meeting = getMeeting(meetingId);
+  return meeting?.processedAt ? meeting : null;
+}
+
+/**
+ * Record that a meeting's summary was published to Linear
+ */
+export function recordSummaryPublished(meetingId, publication) {
+  return transaction(() => {
+    const meeting = getMeeting(meetingId);
+    if (!meeting) {
+      return null;
+    }
+
+    meeting.summaryPublications = [...(meeting.summaryPublications || []), publication];
+    return writeMeeting(meetingId, meeting);
+  });
+}
+
+/**
+ * Get the Linear parent issue created for a meeting, if any
+ */
+export function getMeetingParentIssue(meetingId) {
+  return getMeeting(meetingId)?.parentIssue || null;
+}
+
+/**
+ * Record the idempotency reference for creating a meeting's parent issue
+ * (see beginIssueCreation)
+ * @returns {string} The reference to use as the parent issue's ID
+ */
+export function beginMeetingParentCreation(meetingId) {
+  return transaction(() => {
+    const meeting = getMeeting(meetingId) || { actionItemIds: [] };
+    if (!meeting.parentCreationRef) {
+      meeting.parentCreationRef = randomUUID();
+      writeMeeting(meetingId, meeting);
+    }
+    return meeting.parentCreationRef;
+  });
+}
+
+/**
+ * Remember the parent issue of a meeting, so later approvals attach to it
+ */
+export function setMeetingParentIssue(meetingId, issueData) {
+  transaction(() => {
+    writeMeeting(meetingId, {
+      ...(getMeeting(meetingId) || { actionItemIds: [] }),
+      parentIssue: issueData,
+    });
+  });
+  return issueData;
+}
+
+/**
+ * Find a stored action item that an extracted item duplicates by a fuzzy
+ * title match within the same meeting
+ * @param {Map} claimed - Stored items already matched by other items of the same extraction
+ */
+function findSimilarActionItem(item, claimed) {
+  const sameMeeting = findActionItems({ meetingId: item.meetingId }).filter(i => !claimed.has(i.id));
+  const best = findBestMatch(item.title, sameMeeting, DUPLICATE_TITLE_THRESHOLD);
+  return best ? best.match : null;
+}
+
+/**
+ * Bring a stored item up to date with a new extraction of it (e.g. a
+ * corrected assignee or deadline), as long as it is still pending and nobody
+ * has reviewed or edited it; otherwise the stored item is kept as it is
+ */
+function refreshActionItem(existing, item, source) {
+  if (existing.status !== 'pending_review' || getActionItemHistory(existing.id).some(entry => entry.action !== 'extract')) {
+    return existing;
+  }
+
+  const { id, status, extractedAt, ...fields } = item;
+  const changes = diffFields(existing, fields);
+  if (Object.keys(changes).length === 0) {
+    return existing;
+  }
+
+  recordHistory(existing.id, changes, { action: 'extract', source });
+  return writeActionItem({ ...existing, ...fields });
 }
 
 /**
  * Save extracted action items
+ * Items that duplicate an already stored item keep the stored version, so
+ * re-processing a meeting never resets review status, edits or Linear links;
+ * only pending items nobody has touched take the new extraction's fields.
+ * Each stored item matches at most one item of the extraction.
+ * Returns the stored items corresponding to the extraction.
+ * @param {string} source - Who extracted them, for the history (see HISTORY_SOURCES)
+ */
+export function saveActionItems(actionItems, source = 'system') {
+  return transaction(() => {
+    const saved = new Map();
+    const unmatched = [];
+
+    // Exact ID matches first, so a fuzzy match cannot take another item's stored version.
+    // The same title and assignee twice in one extraction is one item.
+    const unique = [...new Map(actionItems.map(item => [item.id, item])).values()];
+    for (const item of unique) {
+      const existing = getActionItem(item.id);
+      if (existing) {
+        saved.set(existing.id, refreshActionItem(existing, item, source));
+      } else {
+        unmatched.push(item);
+      }
+    }
+
+    for (const item of unmatched) {
+      const existing = findSimilarActionItem(item, saved);
+      if (existing) {
+        saved.set(existing.id, refreshActionItem(existing, item, source));
+        continue;
+      }
+
+      const stored = writeActionItem({ status: 'pending_review', ...item });
+      recordHistory(item.id, { status: { from: null, to: stored.status } }, { action: 'extract', source });
+      saved.set(item.id, stored);
+    }
+
+    return [...saved.values()];
+  });
+}
+
+/**
+ * Query action items using the indexed columns
+ * @param {Object} filters - { status (string or list), meetingId, since (extracted at or after) }
+ * @returns {Array} Matching items, newest extraction first
  */
-export function saveActionItems(actionItems) {
-  for (const item of actionItems) {
-    store.actionItems[item.id] = item;
+export function findActionItems({ status, meetingId, since } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    const statuses = [].concat(status);
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (meetingId) {
+    conditions.push('meeting_id = ?');
+    params.push(meetingId);
   }
-  saveStore(store);
+  if (since) {
+    conditions.push('extracted_at >= ?');
+    params.push(since);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return parseRows(statement(`SELECT data FROM action_items ${where} ORDER BY extracted_at DESC, rowid`).all(...params));
 }
 
 /**
  * Get all action items pending review
  */
 export function getPendingReview() {
-  return Object.values(store.actionItems).filter(
-    item => item.status === 'pending_review'
-  );
+  return findActionItems({ status: 'pending_review' });
 }
 
 /**
  * Get all action items
  */
 export function getAllActionItems() {
-  return Object.values(store.actionItems);
+  return parseRows(statement('SELECT data FROM action_items ORDER BY rowid').all());
 }
 
 /**
  * Get action item by ID
  */
 export function getActionItem(id) {
-  return store.actionItems[id];
+  const row = statement('SELECT data FROM action_items WHERE id = ?').get(id);
+  return row ? JSON.parse(row.data) : undefined;
+}
+
+/**
+ * Update action item fields
+ * Changes to audited fields are appended to the item's history. Throws on a
+ * status change STATUS_TRANSITIONS does not allow.
+ * @param {Object} audit - { action (e.g. 'approve', default 'edit'), source (see HISTORY_SOURCES), batchId }
+ */
+export function updateActionItem(id, updates, audit = {}) {
+  return transaction(() => {
+    const item = getActionItem(id);
+    if (!item) {
+      return null;
+    }
+    if (updates.status && !canTransition(item.status, updates.status)) {
+      throw new Error(`Cannot change status from ${item.status} to ${updates.status}`);
+    }
+
+    const changes = diffFields(item, updates);
+    if (Object.keys(changes).some(field => AUDITED_FIELDS.includes(field))) {
+      recordHistory(id, changes, audit);
+    }
+    return writeActionItem({ ...item, ...updates });
+  });
 }
 
 /**
- * Update action item status
+ * Apply the same update to several action items in one transaction
+ * The history entries share a batch ID, so the batch can be undone together.
+ * @returns {Object} { batchId, items } with null in items for IDs not found
  */
-export function updateActionItem(id, updates) {
-  if (store.actionItems[id]) {
-    store.actionItems[id] = { ...store.actionItems[id], ...updates };
-    saveStore(store);
-    return store.actionItems[id];
+export function updateActionItems(ids, updates, audit = {}) {
+  if (ids.length === 0) {
+    return { batchId: null, items: [] };
   }
-  return null;
+
+  const batchId = randomUUID();
+  const items = transaction(() => ids.map(id => updateActionItem(id, updates, { ...audit, batchId })));
+  return { batchId, items };
 }
 
 /**
  * Approve an action item
  */
-export function approveActionItem(id) {
-  return updateActionItem(id, { status: 'approved', approvedAt: new Date().toISOString() });
+export function approveActionItem(id, source = 'system') {
+  return updateActionItem(id, { status: 'approved', approvedAt: new Date().toISOString() }, { action: 'approve', source });
 }
 
 /**
  * Reject an action item
  */
-export function rejectActionItem(id) {
-  return updateActionItem(id, { status: 'rejected', rejectedAt: new Date().toISOString() });
+export function rejectActionItem(id, source = 'system') {
+  return updateActionItem(id, { status: 'rejected', rejectedAt: new Date().toISOString() }, { action: 'reject', source });
+}
+
+/**
+ * Approve several action items at once (all or none are written)
+ */
+export function approveActionItems(ids, source = 'bulk') {
+  return updateActionItems(ids, { status: 'approved', approvedAt: new Date().toISOString() }, { action: 'approve', source });
+}
+
+/**
+ * Reject several action items at once (all or none are written)
+ */
+export function rejectActionItems(ids, source = 'bulk') {
+  return updateActionItems(ids, { status: 'rejected', rejectedAt: new Date().toISOString() }, { action: 'reject', source });
+}
+
+/**
+ * Get an action item's history, oldest first
+ */
+export function getActionItemHistory(id) {
+  return statement(`SELECT ${HISTORY_COLUMNS} FROM action_item_history h WHERE action_item_id = ? ORDER BY id`)
+    .all(id)
+    .map(toHistoryEntry);
+}
+
+/**
+ * Find the change undo would revert: the item's latest change that is not
+ * an undo and was not undone, if it is safe to revert
+ * @returns {Object} { entry } or { error }
+ */
+function findUndoableChange(id) {
+  const row = statement(`
+    SELECT ${HISTORY_COLUMNS} FROM action_item_history h
+    WHERE action_item_id = ? AND action != 'undo' AND NOT undone
+    ORDER BY id DESC LIMIT 1
+  `).get(id);
+  if (!row) {
+    return { error: 'Nothing to undo' };
+  }
+
+  const entry = toHistoryEntry(row);
+  if (NOT_UNDOABLE[entry.action]) {
+    return { entry, error: NOT_UNDOABLE[entry.action] };
+  }
+
+  const item = getActionItem(id);
+  if (item.status === 'created') {
+    return { entry, error: 'Changes to created items were pushed to Linear; edit the item instead' };
+  }
+
+  if (entry.changes.status && !canTransition(item.status, entry.changes.status.from)) {
+    return { entry, error: `Cannot change status from ${item.status} back to ${entry.changes.status.from}` };
+  }
+
+  const changedSince = Object.entries(entry.changes)
+    .filter(([field, { to }]) => !sameValue(item[field], to))
+    .map(([field]) => field);
+  if (changedSince.length > 0) {
+    return { entry, error: `${changedSince.join(', ')} changed since; undo the later change first` };
+  }
+
+  return { entry };
+}
+
+/**
+ * Revert a history entry, recording the undo as a new entry
+ */
+function applyUndo(entry, source) {
+  const reverted = Object.fromEntries(Object.entries(entry.changes).map(([field, { from }]) => [field, from]));
+  const reversed = Object.fromEntries(Object.entries(entry.changes).map(([field, { from, to }]) => [field, { from: to, to: from }]));
+
+  recordHistory(entry.actionItemId, reversed, { action: 'undo', source, undoes: entry.id });
+  return writeActionItem({ ...getActionItem(entry.actionItemId), ...reverted });
+}
+
+/**
+ * Undo an action item's last change
+ * @returns {Object} { item, undone } or { error } if it cannot be undone; null if the item does not exist
+ */
+export function undoLastChange(id, source = 'system') {
+  return transaction(() => {
+    if (!getActionItem(id)) {
+      return null;
+    }
+
+    const { entry, error } = findUndoableChange(id);
+    if (error) {
+      return { error };
+    }
+    return { item: applyUndo(entry, source), undone: entry };
+  });
+}
+
+/**
+ * Undo a bulk change (see updateActionItems)
+ * Items changed again since the batch are left alone and reported.
+ * @returns {Array} [{ id, success, error? }], or null if the batch does not exist
+ */
+export function undoBatch(batchId, source = 'system') {
+  return transaction(() => {
+    const entries = statement(`SELECT ${HISTORY_COLUMNS} FROM action_item_history h WHERE batch_id = ? ORDER BY id`)
+      .all(batchId)
+      .map(toHistoryEntry);
+    if (entries.length === 0) {
+      return null;
+    }
+
+    return entries.map(entry => {
+      if (entry.undone) {
+        return { id: entry.actionItemId, success: false, error: 'Already undone' };
+      }
+
+      const latest = findUndoableChange(entry.actionItemId);
+      if (latest.entry?.id !== entry.id) {
+        return { id: entry.actionItemId, success: false, error: 'Changed since; undo the later change first' };
+      }
+      if (latest.error) {
+        return { id: entry.actionItemId, success: false, error: latest.error };
+      }
+
+      applyUndo(entry, source);
+      return { id: entry.actionItemId, success: true };
+    });
+  });
+}
+
+/**
+ * Record the idempotency reference for creating an action item's issue
+ * Stored before calling Linear and reused by every retry, so an issue created
+ * by an attempt that crashed before markAsCreated can be found and adopted.
+ */
+export function beginIssueCreation(id) {
+  return transaction(() => {
+    const item = getActionItem(id);
+    if (!item) {
+      return null;
+    }
+    if (item.creationRef) {
+      return item;
+    }
+
+    return updateActionItem(id, {
+      creationRef: randomUUID(),
+      creationStartedAt: new Date().toISOString(),
+    });
+  });
 }
 
 /**
  * Mark an action item as created in Linear
  */
-export function markAsCreated(id, issueData) {
-  store.createdIssues[id] = issueData;
+export function markAsCreated(id, issueData, source = 'system') {
   return updateActionItem(id, {
     status: 'created',
     createdAt: new Date().toISOString(),
     linearIssue: issueData,
-  });
+  }, { action: 'create', source });
 }
 
 /**
  * Get created issues
  */
 export function getCreatedIssues() {
-  return Object.values(store.actionItems).filter(
-    item => item.status === 'created'
-  );
+  return findActionItems({ status: 'created' });
+}
+
+/**
+ * Get action items linked to a Linear issue (created, or whose issue went missing)
+ */
+export function getLinkedActionItems() {
+  return findActionItems({ status: ['created', 'issue_missing'] })
+    .filter(item => item.linearIssue);
+}
+
+/**
+ * Find the action item linked to a Linear issue
+ */
+export function findActionItemByIssueId(issueId) {
+  const row = statement('SELECT data FROM action_items WHERE linear_issue_id = ?').get(issueId);
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Record the synced state of an action item's Linear issue
+ * @param {string} status - 'created', or 'issue_missing' if deleted/archived in Linear
+ * @param {string} source - 'sync' or 'webhook'
+ */
+export function recordIssueSync(id, linearSync, status, source = 'sync') {
+  return updateActionItem(id, { status, linearSync }, { action: 'sync', source });
+}
+
+/**
+ * Detach an action item from its missing Linear issue so it can be created again
+ */
+export function detachLinearIssue(id, source = 'system') {
+  return transaction(() => {
+    const item = getActionItem(id);
+    if (!item) {
+      return null;
+    }
+
+    return updateActionItem(id, {
+      status: 'approved',
+      linearIssue: null,
+      linearSync: null,
+      creationRef: null,
+      previousLinearIssues: [...(item.previousLinearIssues || []), item.linearIssue].filter(Boolean),
+    }, { action: 'detach', source });
+  });
 }
 
 /**
  * Get settings
  */
 export function getSettings() {
-  return store.settings || {};
+  return getMeta('settings') || {};
 }
 
 /**
  * Update settings
  */
 export function updateSettings(updates) {
-  store.settings = { ...store.settings, ...updates };
-  saveStore(store);
-  return store.settings;
+  return transaction(() => {
+    const settings = { ...getSettings(), ...updates };
+    setMeta('settings', settings);
+    return settings;
+  });
+}
+
+/**
+ * Schema version, the migration run at startup and quarantined store files
+ */
+export function getStoreStatus() {
+  getDb();
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    migration,
+    quarantined: getMeta('quarantined') || [],
+  };
+}
+
+/**
+ * Stop reporting quarantined files, once they have been dealt with
+ * The files themselves are left in place.
+ */
+export function dismissQuarantine() {
+  getDb();
+  setMeta('quarantined', []);
 }
 
 /**
  * Get stats
  */
 export function getStats() {
-  const actionItems = Object.values(store.actionItems);
+  const counts = Object.fromEntries(
+    statement('SELECT status, COUNT(*) AS count FROM action_items GROUP BY status').all()
+      .map(row => [row.status, row.count])
+  );
+
   return {
-    totalMeetingsProcessed: Object.keys(store.processedMeetings).length,
-    totalActionItems: actionItems.length,
-    pendingReview: actionItems.filter(i => i.status === 'pending_review').length,
-    approved: actionItems.filter(i => i.status === 'approved').length,
-    rejected: actionItems.filter(i => i.status === 'rejected').length,
-    created: actionItems.filter(i => i.status === 'created').length,
-    lastProcessedTime: store.lastProcessedTime,
+    totalMeetingsProcessed: statement('SELECT COUNT(*) AS count FROM meetings WHERE processed_at IS NOT NULL').get().count,
+    totalActionItems: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    pendingReview: counts.pending_review || 0,
+    approved: counts.approved || 0,
+    rejected: counts.rejected || 0,
+    created: counts.created || 0,
+    issueMissing: counts.issue_missing || 0,
+    lastProcessedTime: getMeta('lastProcessedTime'),
   };
 }
 
@@ -190,12 +941,10 @@ export function getStats() {
  * Clear all data (for testing/reset)
  */
 export function clearStore() {
-  store = {
-    processedMeetings: {},
-    actionItems: {},
-    createdIssues: {},
-    settings: store.settings, // Preserve settings
-    lastProcessedTime: null,
-  };
-  saveStore(store);
+  transaction(() => {
+    statement('DELETE FROM action_items').run();
+    statement('DELETE FROM action_item_history').run();
+    statement('DELETE FROM meetings').run();
+    setMeta('lastProcessedTime', null); // Settings are preserved
+  });
 }
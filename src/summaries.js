@@ -0,0 +1,88 @@
+/**
+ * Meeting summary publishing
+ *
+ * Summaries (with decisions, open questions and risks) are extracted together
+ * with the action items and stored on the processed meeting. They can be
+ * published to Linear as a project document, or as a comment on the meeting's
+ * parent issue (or, without one, on every issue created from the meeting).
+ */
+
+import { createDocument, commentOnIssue } from './linear.js';
+import * as store from './store.js';
+
+export const SUMMARY_TARGETS = ['document', 'comment'];
+
+/**
+ * Render a meeting summary as Markdown
+ * @param {Object} meeting - { title, date, participants }
+ */
+export function formatSummary(meeting, summary) {
+  const sections = [
+    ['Decisions', summary.decisions],
+    ['Open questions', summary.openQuestions],
+    ['Risks', summary.risks],
+  ];
+
+  let markdown = `**${meeting.title}** — ${new Date(meeting.date).toLocaleDateString()}\n`;
+
+  if (meeting.participants && meeting.participants.length > 0) {
+    markdown += `👥 ${meeting.participants.join(', ')}\n`;
+  }
+
+  if (summary.summary) {
+    markdown += `\n${summary.summary}\n`;
+  }
+
+  for (const [heading, entries] of sections) {
+    if (entries && entries.length > 0) {
+      markdown += `\n### ${heading}\n${entries.map(entry => `- ${entry}`).join('\n')}\n`;
+    }
+  }
+
+  markdown += '\n*Summarized automatically from Granola meeting notes*';
+  return markdown;
+}
+
+/**
+ * Publish a processed meeting's summary to Linear
+ * @param {Object} meeting - { id, title, date, participants }
+ * @param {string} target - 'document' (needs projectId) or 'comment'
+ * @returns {Object} The publication record { target, publishedAt, documents?, issues? }
+ */
+export async function publishSummary(meeting, target, { projectId = null } = {}) {
+  const summary = store.getProcessedMeeting(meeting.id)?.summary;
+  if (!summary) {
+    throw new Error('This meeting has no summary yet; process it again to extract one');
+  }
+
+  const content = formatSummary(meeting, summary);
+  const publication = { target, publishedAt: new Date().toISOString() };
+
+  if (target === 'document') {
+    if (!projectId) {
+      throw new Error('A project ID is required to publish the summary as a document');
+    }
+    const document = await createDocument(`Meeting summary: ${meeting.title}`, content, projectId);
+    publication.documents = [document];
+  } else {
+    const parent = store.getMeetingParentIssue(meeting.id);
+    const issues = parent
+      ? [parent]
+      : store.getCreatedIssues()
+        .filter(item => item.meetingId === meeting.id && !item.linearIssue.linkedVia)
+        .map(item => item.linearIssue);
+
+    if (issues.length === 0) {
+      throw new Error('No Linear issues have been created from this meeting yet');
+    }
+
+    for (const issue of issues) {
+      await commentOnIssue(issue.id, content);
+    }
+    publication.issues = issues.map(issue => ({ id: issue.id, identifier: issue.identifier, url: issue.url }));
+  }
+
+  console.log(`📝 Published summary of "${meeting.title}" as a ${target}`);
+  store.recordSummaryPublished(meeting.id, publication);
+  return publication;
+}
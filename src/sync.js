@@ -0,0 +1,110 @@
+import { CONFIG } from './config.js';
+import { fetchIssueSnapshots } from './linear.js';
+import * as store from './store.js';
+
+// Issues fetched per request
+const BATCH_SIZE = 50;
+
+let syncInterval = null;
+let isSyncing = false;
+
+/**
+ * Record a Linear issue snapshot on its action item
+ * A null snapshot (deleted), archived or trashed issue moves the item to 'issue_missing'.
+ * @param {string} source - 'sync' or 'webhook', for the item's history
+ * @returns {Object} The updated action item
+ */
+export function applyIssueSnapshot(item, snapshot, syncedAt = new Date().toISOString(), source = 'sync') {
+  if (!snapshot || snapshot.archivedAt || snapshot.trashed) {
+    const missingReason = !snapshot ? 'deleted' : (snapshot.trashed ? 'trashed' : 'archived');
+    if (item.status !== 'issue_missing') {
+      console.log(`  ⚠️ ${item.linearIssue.identifier} was ${missingReason} in Linear`);
+    }
+    return store.recordIssueSync(item.id, {
+      ...item.linearSync,
+      ...snapshot,
+      missingReason,
+      syncedAt,
+    }, 'issue_missing', source);
+  }
+
+  return store.recordIssueSync(item.id, {
+    ...item.linearSync,
+    ...snapshot,
+    missingReason: null,
+    syncedAt,
+  }, 'created', source);
+}
+
+/**
+ * Fetch the Linear state of every created issue and record it on the action items
+ * Deleted, archived or trashed issues move their item to 'issue_missing'.
+ */
+export async function syncIssues() {
+  if (isSyncing) {
+    return { skipped: true };
+  }
+
+  isSyncing = true;
+
+  try {
+    const items = store.getLinkedActionItems();
+    const syncedAt = new Date().toISOString();
+    const results = { synced: 0, missing: 0, errors: [] };
+
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      const batch = items.slice(i, i + BATCH_SIZE);
+
+      let snapshots;
+      try {
+        snapshots = await fetchIssueSnapshots(batch.map(item => item.linearIssue.id));
+      } catch (error) {
+        console.error('Error syncing Linear issues:', error.message);
+        results.errors.push(error.message);
+        continue;
+      }
+
+      for (const item of batch) {
+        const updated = applyIssueSnapshot(item, snapshots.get(item.linearIssue.id) || null, syncedAt);
+        if (updated.status === 'issue_missing') {
+          results.missing++;
+        } else {
+          results.synced++;
+        }
+      }
+    }
+
+    return results;
+  } finally {
+    isSyncing = false;
+  }
+}
+
+/**
+ * Start syncing periodically
+ */
+export function startSync() {
+  if (!CONFIG.syncInterval) {
+    return;
+  }
+
+  console.log(`🔄 Syncing Linear issue state every ${CONFIG.syncInterval / 1000}s`);
+
+  syncInterval = setInterval(async () => {
+    try {
+      await syncIssues();
+    } catch (error) {
+      console.error('Linear sync failed:', error.message);
+    }
+  }, CONFIG.syncInterval);
+}
+
+/**
+ * Stop periodic syncing
+ */
+export function stopSync() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+  }
+}
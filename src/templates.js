@@ -0,0 +1,251 @@
+/**
+ * Issue description templates
+ *
+ * A small Mustache-style syntax:
+ *
+ *   {{field}}                  value of a field
+ *   {{#field}}...{{/field}}    section shown when the field is set; for lists,
+ *                              repeated per entry with the entry's fields in scope
+ *   {{^field}}...{{/field}}    section shown when the field is empty
+ *   {{.}}                      the current list entry (for lists of strings)
+ *
+ * Templates are picked per team (settings.teamTemplates[teamId]), then
+ * settings.descriptionTemplate, then DEFAULT_TEMPLATE.
+ */
+
+// Characters of the meeting notes available as {{notesExcerpt}}
+const NOTES_EXCERPT_LENGTH = 500;
+
+export const TEMPLATE_FIELDS = {
+  title: 'Action item title',
+  description: 'Action item description',
+  assignee: 'Assignee as mentioned in the meeting',
+  mentionedAssignee: 'Assignee as mentioned, empty when unassigned',
+  assigneeName: 'Resolved Linear user name',
+  priority: 'High, Medium or Low',
+  deadline: 'Deadline as mentioned in the meeting',
+  dueDate: 'Resolved due date (YYYY-MM-DD)',
+  confidence: 'Extraction confidence, e.g. 85%',
+  meetingTitle: 'Meeting title',
+  meetingDate: 'Meeting date',
+  meetingParticipants: 'Participants, comma separated',
+  participants: 'List of participants, use {{.}} inside',
+  citations: 'List of supporting quotes, with {{quote}} and {{speaker}} inside',
+  notesExcerpt: `First ${NOTES_EXCERPT_LENGTH} characters of the meeting notes`,
+  granolaLink: 'Link to the meeting in Granola',
+};
+
+// Fields in scope inside list sections
+const LIST_FIELDS = {
+  citations: ['quote', 'speaker'],
+  participants: [],
+};
+
+export const DEFAULT_TEMPLATE = `{{description}}
+{{#citations}}
+
+> "{{quote}}"{{#speaker}} — {{speaker}}{{/speaker}}
+{{/citations}}
+
+---
+📅 From meeting: **{{meetingTitle}}**
+📆 Meeting date: {{meetingDate}}
+{{#mentionedAssignee}}👤 Mentioned assignee: {{mentionedAssignee}}
+{{/mentionedAssignee}}{{#deadline}}⏰ Deadline: {{deadline}}
+{{/deadline}}
+*Created automatically from Granola meeting notes*`;
+
+const TAG = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Parse a template into a tree of text, field and section nodes
+ * Throws with the position of the first syntax error.
+ */
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of template.matchAll(TAG)) {
+    const [tag, kind, name] = match;
+    const parent = stack[stack.length - 1];
+    parent.children.push({ type: 'text', value: template.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (kind === '#' || kind === '^') {
+      const section = { type: 'section', name, inverted: kind === '^', children: [], index: match.index };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new Error(`Unexpected {{/${name}}} at character ${match.index}${stack.length > 1 ? ` (open section is ${parent.name})` : ''}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ type: 'field', name, index: match.index });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Section {{#${open.name}}} at character ${open.index} is never closed`);
+  }
+
+  const stray = template.slice(last).match(/\{\{|\}\}/);
+  stack[0].children.push({ type: 'text', value: template.slice(last) });
+  if (stray) {
+    throw new Error(`Malformed tag near character ${last + stray.index}`);
+  }
+
+  return root;
+}
+
+/**
+ * Check a template for syntax errors and unknown fields
+ * Returns a list of error messages, empty when valid.
+ */
+export function validateTemplate(template) {
+  if (typeof template !== 'string') {
+    return ['Template must be a string'];
+  }
+
+  let tree;
+  try {
+    tree = parse(template);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const errors = [];
+  const check = (node, scope) => {
+    for (const child of node.children) {
+      if (child.type === 'text') continue;
+
+      const known = child.name === '.' ? scope.length > 0 : (child.name in TEMPLATE_FIELDS || scope.includes(child.name));
+      if (!known) {
+        errors.push(`Unknown field "${child.name}" at character ${child.index}`);
+      }
+      if (child.type === 'section') {
+        check(child, child.name in LIST_FIELDS && !child.inverted ? [...LIST_FIELDS[child.name], '.'] : scope);
+      }
+    }
+  };
+  check(tree, []);
+
+  return errors;
+}
+
+/**
+ * Whether a template uses a field (to skip expensive lookups)
+ */
+export function templateUses(template, field) {
+  return new RegExp(`\\{\\{\\s*[#^]?\\s*${field}\\s*\\}\\}`).test(template);
+}
+
+const isEmpty = value => value === null || value === undefined || value === '' || value === false
+  || (Array.isArray(value) && value.length === 0);
+
+function lookup(name, scopes) {
+  if (name === '.') {
+    return scopes[scopes.length - 1];
+  }
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope && typeof scope === 'object' && name in scope) {
+      return scope[name];
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    const value = lookup(node.name, scopes);
+    if (node.type === 'field') {
+      return isEmpty(value) ? '' : String(value);
+    }
+
+    if (node.inverted) {
+      return isEmpty(value) ? renderNodes(node.children, scopes) : '';
+    }
+    if (isEmpty(value)) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(entry => renderNodes(node.children, [...scopes, entry])).join('');
+    }
+    return renderNodes(node.children, scopes);
+  }).join('');
+}
+
+/**
+ * Render a template against a context (see buildTemplateContext)
+ * Runs of blank lines left by empty fields are collapsed.
+ */
+export function renderTemplate(template, context) {
+  return renderNodes(parse(template).children, [context])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Pick the template for a team
+ */
+export function getTemplate(settings = {}, teamId = null) {
+  return (teamId && settings.teamTemplates?.[teamId]) || settings.descriptionTemplate || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Fields available to templates for an action item
+ * @param {Object} meeting - The Granola meeting, if loaded (for notesExcerpt)
+ */
+export function buildTemplateContext(item, meeting = null) {
+  const notes = meeting?.notes || '';
+
+  return {
+    title: item.title,
+    description: item.description || '',
+    assignee: item.assignee || '',
+    mentionedAssignee: item.assignee && item.assignee !== 'Unassigned' ? item.assignee : '',
+    assigneeName: item.assigneeName || '',
+    priority: item.priority || '',
+    deadline: item.deadline || '',
+    dueDate: item.dueDate || '',
+    confidence: typeof item.confidence === 'number' ? `${Math.round(item.confidence * 100)}%` : '',
+    meetingTitle: item.meetingTitle || '',
+    meetingDate: item.meetingDate ? new Date(item.meetingDate).toLocaleDateString() : '',
+    meetingParticipants: (item.meetingParticipants || []).join(', '),
+    participants: item.meetingParticipants || [],
+    citations: (item.citations || []).map(c => ({ quote: c.quote, speaker: c.speaker || '' })),
+    notesExcerpt: notes.length > NOTES_EXCERPT_LENGTH ? `${notes.slice(0, NOTES_EXCERPT_LENGTH).trimEnd()}…` : notes,
+    granolaLink: item.meetingId ? `https://notes.granola.ai/d/${item.meetingId}` : '',
+  };
+}
+
+/**
+ * Validate the template settings
+ * Returns a list of error messages, empty when valid.
+ */
+export function validateTemplateSettings({ descriptionTemplate, teamTemplates }) {
+  const errors = [];
+
+  if (descriptionTemplate !== undefined && descriptionTemplate !== null && descriptionTemplate !== '') {
+    errors.push(...validateTemplate(descriptionTemplate).map(e => `descriptionTemplate: ${e}`));
+  }
+
+  if (teamTemplates !== undefined && teamTemplates !== null) {
+    if (typeof teamTemplates !== 'object' || Array.isArray(teamTemplates)) {
+      errors.push('teamTemplates must be an object of team ID to template');
+    } else {
+      for (const [teamId, template] of Object.entries(teamTemplates)) {
+        errors.push(...validateTemplate(template).map(e => `teamTemplates.${teamId}: ${e}`));
+      }
+    }
+  }
+
+  return errors;
+}
@@ -1,81 +1,114 @@
 import chokidar from 'chokidar';
 import { CONFIG } from './config.js';
 import { loadGranolaData } from './granola.js';
-import { extractActionItems } from './ai.js';
+import { extractMeetingInsights } from './ai.js';
+import { resolveAssignees } from './linear.js';
 import * as store from './store.js';
+import { publish } from './events.js';
+import { enqueueJob, getActiveJob } from './jobs.js';
+import { getSkipReason } from './meeting-rules.js';
 
 let watcher = null;
 let pollInterval = null;
-let isProcessing = false;
 
 /**
- * Process new (unprocessed) meetings
+ * Extract a meeting's action items and save them
+ * Checks the signal before saving, so a cancelled run leaves the store untouched.
+ * @param {Object} options - { source (see store HISTORY_SOURCES), signal }
  */
-export async function processNewMeetings() {
-  if (isProcessing) {
-    console.log('⏳ Already processing, skipping...');
-    return { skipped: true };
-  }
-
-  isProcessing = true;
-
-  try {
-    const { meetings } = loadGranolaData();
-    const settings = store.getSettings();
-
-    // Find unprocessed meetings
-    const unprocessed = meetings.filter(m => !store.isMeetingProcessed(m.id));
-
-    if (unprocessed.length === 0) {
-      console.log('✓ No new meetings to process');
-      return { processed: 0, actionItems: 0 };
-    }
+export async function processMeeting(meeting, { source = 'watcher', signal } = {}) {
+  const settings = store.getSettings();
+  const extracted = await extractMeetingInsights(meeting, settings.customPrompt, settings, { signal });
+  signal?.throwIfAborted();
+  const resolved = await resolveAssignees(extracted.actionItems, settings);
+  signal?.throwIfAborted();
+
+  // Save to store, keeping items already reviewed in an earlier run
+  const actionItems = store.saveActionItems(resolved, source);
+  store.markMeetingProcessed(meeting.id, actionItems.map(i => i.id), { summary: extracted.summary });
+
+  return {
+    meetingId: meeting.id,
+    actionItemIds: actionItems.map(i => i.id),
+    count: actionItems.length,
+    summary: extracted.summary,
+  };
+}
 
-    console.log(`\n📋 Found ${unprocessed.length} new meeting(s) to process`);
-
-    let totalActionItems = 0;
-    const results = [];
-
-    for (const meeting of unprocessed) {
-      console.log(`  → Processing: ${meeting.title}`);
-
-      try {
-        const actionItems = await extractActionItems(meeting, settings.customPrompt);
-        store.saveActionItems(actionItems);
-        store.markMeetingProcessed(meeting.id, actionItems.map(i => i.id));
-
-        console.log(`    ✓ Extracted ${actionItems.length} action item(s)`);
-        totalActionItems += actionItems.length;
-
-        results.push({
-          meetingId: meeting.id,
-          title: meeting.title,
-          actionItems: actionItems.length,
-          success: true,
-        });
-      } catch (error) {
-        console.error(`    ✗ Error: ${error.message}`);
-        results.push({
-          meetingId: meeting.id,
-          title: meeting.title,
-          success: false,
-          error: error.message,
-        });
+/**
+ * Queue a meeting for processing (see jobs.js)
+ * @returns {Object} The job
+ */
+export function queueMeeting(meeting, source = 'watcher') {
+  return enqueueJob('process-meeting', { meetingId: meeting.id, title: meeting.title, source }, async signal => {
+    console.log(`  → Processing: ${meeting.title}`);
+
+    try {
+      const result = await processMeeting(meeting, { source, signal });
+      console.log(`    ✓ Extracted ${result.count} action item(s) from ${meeting.title}`);
+      if (result.count > 0) {
+        console.log(`   Open http://localhost:${CONFIG.port} to review\n`);
       }
+      return result;
+    } catch (error) {
+      if (!signal.aborted) {
+        const failure = store.recordProcessingFailure(meeting.id, { title: meeting.title, error: error.message });
+        console.error(`    ✗ Error processing ${meeting.title} (attempt ${failure.attempts}): ${error.message}`);
+        console.error(failure.failedAt
+          ? `    Giving up after ${failure.attempts} attempt(s); retry from the Meetings tab`
+          : `    Retrying after ${new Date(failure.nextRetryAt).toLocaleString()}`);
+        publish('processing-error', { meetingId: meeting.id, title: meeting.title, error: error.message, ...failure });
+      }
+      throw error;
     }
+  });
+}
 
-    if (totalActionItems > 0) {
-      console.log(`\n🎉 Total: ${totalActionItems} new action item(s) ready for review`);
-      console.log(`   Open http://localhost:${CONFIG.port} to review\n`);
-    }
+/**
+ * Whether a meeting's failed attempts allow another automatic attempt now
+ */
+function isDueForRetry(meetingId) {
+  const failure = store.getProcessingFailure(meetingId);
+  return !failure || (!failure.failedAt && new Date(failure.nextRetryAt) <= new Date());
+}
 
-    return {
-      processed: unprocessed.length,
-      actionItems: totalActionItems,
-      results,
-    };
-  } finally {
-    isProcessing = false;
+/**
+ * Queue new (unprocessed) meetings
+ * Meetings with a job already queued or running are left alone, as are
+ * meetings that failed recently (until their retry time) or too often, and
+ * meetings the cutoff date or meeting rules skip (see meeting-rules.js).
+ * @param {Object} options - { since: only meetings on or after this Date }
+ * @returns {Object} { queued, jobs, skipped }
+ */
+export function processNewMeetings(source = 'watcher', { since = null } = {}) {
+  const { meetings } = loadGranolaData();
+  const settings = store.getSettings();
+
+  // Find unprocessed meetings
+  const recent = since ? meetings.filter(m => new Date(m.date) >= since) : meetings;
+  const unprocessed = recent.filter(m => !store.isMeetingProcessed(m.id) && !getActiveJob(m.id) && isDueForRetry(m.id));
+  const toProcess = unprocessed.filter(m => !getSkipReason(m, settings));
+  const skipped = unprocessed.length - toProcess.length;
+
+  if (toProcess.length === 0) {
+    console.log(`✓ No new meetings to process${skipped ? ` (${skipped} skipped by meeting rules)` : ''}`);
+    return { queued: 0, jobs: [], skipped };
+  }
+
+  console.log(`\n📋 Found ${toProcess.length} new meeting(s) to process${skipped ? `, ${skipped} skipped by meeting rules` : ''}`);
+  const jobs = toProcess.map(meeting => queueMeeting(meeting, source));
+  return { queued: jobs.length, jobs, skipped };
+}
+
+/**
+ * Queue new meetings from a file event or timer
+ * Errors (e.g. an unreadable cache or store) are logged; the next tick tries again.
+ */
+function checkForNewMeetings() {
+  try {
+    processNewMeetings();
+  } catch (error) {
+    console.error(`✗ Error checking for new meetings: ${error.message}`);
   }
 }
 
@@ -97,9 +130,9 @@ export function startWatcher() {
     },
   });
 
-  watcher.on('change', async (path) => {
+  watcher.on('change', (path) => {
     console.log(`\n📝 Granola cache updated, checking for new meetings...`);
-    await processNewMeetings();
+    checkForNewMeetings();
   });
 
   watcher.on('error', (error) => {
@@ -107,14 +140,12 @@ export function startWatcher() {
   });
 
   // Also poll periodically in case file events are missed
-  pollInterval = setInterval(async () => {
-    await processNewMeetings();
-  }, CONFIG.pollInterval);
+  pollInterval = setInterval(checkForNewMeetings, CONFIG.pollInterval);
 
   // Process immediately on startup
-  setTimeout(async () => {
+  setTimeout(() => {
     console.log('🔍 Checking for existing unprocessed meetings...');
-    await processNewMeetings();
+    checkForNewMeetings();
   }, 1000);
 }
 
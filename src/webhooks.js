@@ -0,0 +1,112 @@
+/**
+ * Linear webhook handling
+ *
+ * Linear signs each delivery with an HMAC-SHA256 of the raw body using the
+ * webhook's signing secret (Linear-Signature header) and includes the send
+ * time as webhookTimestamp, which we use to reject replayed deliveries.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import * as store from './store.js';
+import { applyIssueSnapshot } from './sync.js';
+
+// Deliveries older (or further in the future) than this are rejected as replays
+const MAX_TIMESTAMP_SKEW_MS = 60 * 1000;
+
+// Recently seen delivery IDs, to drop duplicates within the skew window
+const seenDeliveries = new Map();
+
+/**
+ * Check the Linear-Signature header against the raw request body
+ */
+export function verifySignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+
+  const expected = createHmac('sha256', secret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const signatureBuffer = Buffer.from(String(signature), 'hex');
+
+  return signatureBuffer.length === expectedBuffer.length
+    && timingSafeEqual(signatureBuffer, expectedBuffer);
+}
+
+/**
+ * Reject deliveries outside the timestamp window or already seen
+ * Returns an error message, or null if the delivery is fresh.
+ */
+export function checkReplay(payload, deliveryId, now = Date.now()) {
+  const timestamp = Number(payload.webhookTimestamp);
+  if (!timestamp || Math.abs(now - timestamp) > MAX_TIMESTAMP_SKEW_MS) {
+    return 'Stale or missing webhookTimestamp';
+  }
+
+  for (const [id, seenAt] of seenDeliveries) {
+    if (now - seenAt > MAX_TIMESTAMP_SKEW_MS * 2) seenDeliveries.delete(id);
+  }
+
+  if (deliveryId) {
+    if (seenDeliveries.has(deliveryId)) {
+      return 'Duplicate delivery';
+    }
+    seenDeliveries.set(deliveryId, now);
+  }
+
+  return null;
+}
+
+/**
+ * Map an Issue webhook payload to the snapshot shape used by sync
+ */
+function toIssueSnapshot(data) {
+  return {
+    identifier: data.identifier,
+    title: data.title,
+    url: data.url,
+    state: data.state?.name || null,
+    stateType: data.state?.type || null,
+    assigneeId: data.assignee?.id || data.assigneeId || null,
+    assigneeName: data.assignee?.name || null,
+    dueDate: data.dueDate || null,
+    completedAt: data.completedAt || null,
+    canceledAt: data.canceledAt || null,
+    archivedAt: data.archivedAt || null,
+    trashed: !!data.trashed,
+    updatedAt: data.updatedAt,
+  };
+}
+
+/**
+ * Apply a verified webhook event to the corresponding action item
+ * @returns {Object} { handled, reason?, actionItemId? }
+ */
+export function handleWebhookEvent(payload) {
+  const { type, action, data = {} } = payload;
+
+  if (type !== 'Issue' && type !== 'Comment') {
+    return { handled: false, reason: `Ignoring ${type} event` };
+  }
+
+  const issueId = type === 'Issue' ? data.id : (data.issueId || data.issue?.id);
+  const item = issueId ? store.findActionItemByIssueId(issueId) : null;
+
+  if (!item) {
+    console.log(`Webhook: ${type} ${action} for unknown issue ${issueId || '(none)'}, ignoring`);
+    return { handled: false, reason: 'Unknown issue' };
+  }
+
+  if (type === 'Comment') {
+    store.recordIssueSync(item.id, {
+      ...item.linearSync,
+      lastCommentAt: data.createdAt || new Date().toISOString(),
+      lastCommentBy: data.user?.name || null,
+    }, item.status, 'webhook');
+    return { handled: true, actionItemId: item.id };
+  }
+
+  const snapshot = action === 'remove' ? null : toIssueSnapshot(data);
+  applyIssueSnapshot(item, snapshot, new Date().toISOString(), 'webhook');
+
+  return { handled: true, actionItemId: item.id };
+}
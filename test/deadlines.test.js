@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeadline, parseItemDeadline } from '../src/deadlines.js';
+
+// Wednesday
+const OPTIONS = { referenceDate: '2026-10-14T12:00:00Z', timeZone: 'UTC', weekStartsOn: 1 };
+
+const dueDate = (text, options = {}) => parseDeadline(text, { ...OPTIONS, ...options })?.dueDate ?? null;
+
+test('relative days', () => {
+  assert.equal(dueDate('today'), '2026-10-14');
+  assert.equal(dueDate('EOD'), '2026-10-14');
+  assert.equal(dueDate('tomorrow'), '2026-10-15');
+  assert.equal(dueDate('day after tomorrow'), '2026-10-16');
+});
+
+test('counts of days, weeks and months', () => {
+  assert.equal(dueDate('in 3 days'), '2026-10-17');
+  assert.equal(dueDate('in a week'), '2026-10-21');
+  assert.equal(dueDate('within two weeks'), '2026-10-28');
+  assert.equal(dueDate('in a couple of weeks'), '2026-10-28');
+  assert.equal(dueDate('in a few days'), '2026-10-17');
+  assert.equal(dueDate('2 weeks from now'), '2026-10-28');
+  assert.equal(dueDate('in one month'), '2026-11-14');
+});
+
+test('months are clamped to the last day of the target month', () => {
+  assert.equal(dueDate('in one month', { referenceDate: '2026-01-31T12:00:00Z' }), '2026-02-28');
+  assert.equal(dueDate('in one month', { referenceDate: '2024-01-31T12:00:00Z' }), '2024-02-29');
+  assert.equal(dueDate('in 13 months', { referenceDate: '2026-03-31T12:00:00Z' }), '2027-04-30');
+});
+
+test('weekdays and weeks', () => {
+  assert.equal(dueDate('by Friday'), '2026-10-16');
+  assert.equal(dueDate('wednesday'), '2026-10-14');
+  assert.equal(dueDate('next Monday'), '2026-10-19');
+  assert.equal(dueDate('by monday next week'), '2026-10-19');
+  assert.equal(dueDate('friday of next week'), '2026-10-23');
+  assert.equal(dueDate('end of the week'), '2026-10-16');
+  assert.equal(dueDate('next week'), '2026-10-23');
+});
+
+test('week start changes what "next week" means', () => {
+  // Saturday: with Sunday starts, next week starts the next day
+  const saturday = { referenceDate: '2026-10-17T12:00:00Z' };
+  assert.equal(dueDate('next monday', { ...saturday, weekStartsOn: 1 }), '2026-10-19');
+  assert.equal(dueDate('next monday', { ...saturday, weekStartsOn: 0 }), '2026-10-19');
+  assert.equal(dueDate('next sunday', { ...saturday, weekStartsOn: 1 }), '2026-10-25');
+  assert.equal(dueDate('next sunday', { ...saturday, weekStartsOn: 0 }), '2026-10-18');
+});
+
+test('months, quarters and years', () => {
+  assert.equal(dueDate('end of month'), '2026-10-31');
+  assert.equal(dueDate('next month'), '2026-11-30');
+  assert.equal(dueDate('EOQ'), '2026-12-31');
+  assert.equal(dueDate('next quarter'), '2027-03-31');
+  assert.equal(dueDate('Q3'), '2027-09-30');
+  assert.equal(dueDate("Q1 '27"), '2027-03-31');
+  assert.equal(dueDate('end of year'), '2026-12-31');
+  assert.equal(dueDate('by December'), '2026-12-31');
+  assert.equal(dueDate('in march'), '2027-03-31');
+});
+
+test('calendar dates', () => {
+  assert.equal(dueDate('2026-11-02'), '2026-11-02');
+  assert.equal(dueDate('March 15th'), '2027-03-15');
+  assert.equal(dueDate('Nov 3'), '2026-11-03');
+  assert.equal(dueDate('15 March 2027'), '2027-03-15');
+  assert.equal(dueDate('12/31'), '2026-12-31');
+  assert.equal(dueDate('2/29/2028'), '2028-02-29');
+});
+
+test('impossible dates are rejected instead of rolling over', () => {
+  assert.equal(parseDeadline('31/12', OPTIONS), null);
+  assert.equal(parseDeadline('13/45', OPTIONS), null);
+  assert.equal(parseDeadline('2026-13-45', OPTIONS), null);
+  assert.equal(parseDeadline('2026-02-30', OPTIONS), null);
+  assert.equal(parseDeadline('by Feb 30', OPTIONS), null);
+  assert.equal(parseDeadline('30th of February 2027', OPTIONS), null);
+  assert.equal(parseDeadline('2/29/2027', OPTIONS), null);
+  assert.deepEqual(parseItemDeadline({ deadline: '13/45', meetingDate: OPTIONS.referenceDate }, { timeZone: 'UTC' }), {
+    dueDate: null, deadlineCycle: null, deadlineUnparsed: true,
+  });
+});
+
+test('the meeting date is read in the configured timezone', () => {
+  // 02:00 UTC on Thursday is still Wednesday in New York
+  const late = { referenceDate: '2026-10-15T02:00:00Z' };
+  assert.equal(dueDate('tomorrow', { ...late, timeZone: 'America/New_York' }), '2026-10-15');
+  assert.equal(dueDate('tomorrow', { ...late, timeZone: 'UTC' }), '2026-10-16');
+  assert.equal(dueDate('tomorrow', { ...late, timeZone: 'Not/AZone' }), '2026-10-16');
+});
+
+test('sprints and cycles', () => {
+  assert.deepEqual(parseDeadline('next sprint', OPTIONS), { cycle: 'next' });
+  assert.deepEqual(parseDeadline('end of the current cycle', OPTIONS), { cycle: 'current' });
+});
+
+test('unparseable deadlines', () => {
+  assert.equal(parseDeadline('', OPTIONS), null);
+  assert.equal(parseDeadline('soon-ish', OPTIONS), null);
+  assert.equal(parseDeadline('ASAP', OPTIONS), null);
+  assert.equal(parseDeadline('tomorrow', { ...OPTIONS, referenceDate: 'not a date' }), null);
+});
+
+test('parseItemDeadline flags deadlines it cannot resolve', () => {
+  const meetingDate = OPTIONS.referenceDate;
+  const settings = { timeZone: 'UTC' };
+  assert.deepEqual(parseItemDeadline({ deadline: null, meetingDate }, settings), { dueDate: null, deadlineCycle: null, deadlineUnparsed: false });
+  assert.deepEqual(parseItemDeadline({ deadline: 'by Friday', meetingDate }, settings), { dueDate: '2026-10-16', deadlineCycle: null, deadlineUnparsed: false });
+  assert.deepEqual(parseItemDeadline({ deadline: 'next cycle', meetingDate }, settings), { dueDate: null, deadlineCycle: 'next', deadlineUnparsed: false });
+  assert.deepEqual(parseItemDeadline({ deadline: 'whenever', meetingDate }, settings), { dueDate: null, deadlineCycle: null, deadlineUnparsed: true });
+});
@@ -0,0 +1,67 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { MIGRATIONS, SCHEMA_VERSION, migrate } from '../src/migrations.js';
+
+let dir;
+let db;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'granola-linear-migrations-'));
+  db = new Database(join(dir, 'store.db'));
+});
+
+afterEach(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const backupDir = () => join(dir, 'backups');
+const tables = () => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+const columns = table => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+test('versions are consecutive from 1', () => {
+  MIGRATIONS.forEach((migration, index) => assert.equal(migration.version, index + 1));
+  assert.equal(SCHEMA_VERSION, MIGRATIONS.length);
+});
+
+test('a new database is brought to the latest version without a backup', () => {
+  assert.deepEqual(migrate(db, { backupDir: backupDir() }), { from: 0, to: SCHEMA_VERSION, backup: null });
+  assert.equal(db.pragma('user_version', { simple: true }), SCHEMA_VERSION);
+  assert.ok(tables().includes('action_items'));
+  assert.ok(tables().includes('action_item_history'));
+  assert.ok(columns('meetings').includes('failed_at'));
+});
+
+test('an up-to-date database is left alone', () => {
+  migrate(db, { backupDir: backupDir() });
+  assert.deepEqual(migrate(db, { backupDir: backupDir() }), { from: SCHEMA_VERSION, to: SCHEMA_VERSION, backup: null });
+});
+
+test('an older database is backed up, then migrated keeping its data', () => {
+  db.transaction(() => {
+    MIGRATIONS[0].up(db);
+    db.pragma('user_version = 1');
+  })();
+  db.prepare("INSERT INTO meetings (id, processed_at, data) VALUES ('m1', '2026-10-14', '{}')").run();
+
+  const result = migrate(db, { backupDir: backupDir() });
+
+  assert.equal(result.from, 1);
+  assert.equal(result.to, SCHEMA_VERSION);
+  assert.deepEqual(readdirSync(backupDir()), [result.backup.split(/[\\/]/).pop()]);
+  assert.match(result.backup, /store\.v1\./);
+  assert.equal(db.prepare('SELECT id, failed_at FROM meetings').get().id, 'm1');
+
+  const backup = new Database(result.backup, { readonly: true });
+  assert.equal(backup.pragma('user_version', { simple: true }), 1);
+  backup.close();
+});
+
+test('a database from a newer version is refused', () => {
+  db.pragma(`user_version = ${SCHEMA_VERSION + 1}`);
+  assert.throws(() => migrate(db, { backupDir: backupDir() }), /newer than this version supports/);
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The store keeps its database under the working directory's data/
+const cwd = process.cwd();
+const dir = mkdtempSync(join(tmpdir(), 'granola-linear-store-'));
+let store;
+let getActionItemId;
+
+before(async () => {
+  process.chdir(dir);
+  store = await import('../src/store.js');
+  ({ getActionItemId } = await import('../src/ai.js'));
+});
+
+after(() => {
+  process.chdir(cwd);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+let meetings = 0;
+
+function extract(meetingId, items) {
+  return items.map(item => ({
+    ...item,
+    id: getActionItemId(meetingId, item),
+    meetingId,
+    meetingTitle: 'Sync',
+    meetingDate: '2026-10-14T12:00:00Z',
+    status: 'pending_review',
+  }));
+}
+
+test('the same task for two people is saved as two items', () => {
+  const meetingId = `m${++meetings}`;
+  const saved = store.saveActionItems(extract(meetingId, [
+    { title: 'Update the onboarding doc', assignee: 'Alice' },
+    { title: 'Update the onboarding doc', assignee: 'Bob' },
+  ]), 'watcher');
+
+  assert.equal(saved.length, 2);
+  assert.deepEqual(store.findActionItems({ meetingId }).map(i => i.assignee).sort(), ['Alice', 'Bob']);
+});
+
+test('an item repeated within one extraction is saved once', () => {
+  const meetingId = `m${++meetings}`;
+  const item = { title: 'Send the invoice', assignee: 'Alice' };
+  assert.equal(store.saveActionItems(extract(meetingId, [item, item]), 'watcher').length, 1);
+});
+
+test('re-extraction refreshes pending items nobody has touched', () => {
+  const meetingId = `m${++meetings}`;
+  const [first] = store.saveActionItems(extract(meetingId, [{ title: 'Send the invoice', assignee: 'Alice', deadline: 'Friday' }]), 'watcher');
+
+  const [refreshed] = store.saveActionItems(extract(meetingId, [{ title: 'Send the invoice', assignee: 'Bob', deadline: 'Monday' }]), 'watcher');
+
+  assert.equal(refreshed.id, first.id);
+  assert.equal(refreshed.assignee, 'Bob');
+  assert.equal(refreshed.deadline, 'Monday');
+  assert.equal(store.findActionItems({ meetingId }).length, 1);
+});
+
+test('re-extraction keeps items that were reviewed or edited', () => {
+  const meetingId = `m${++meetings}`;
+  const [approved, edited] = store.saveActionItems(extract(meetingId, [
+    { title: 'Send the invoice', assignee: 'Alice' },
+    { title: 'Book the venue', assignee: 'Carol' },
+  ]), 'watcher');
+  store.approveActionItem(approved.id, 'ui');
+  store.updateActionItem(edited.id, { deadline: 'tomorrow' }, { source: 'ui' });
+
+  store.saveActionItems(extract(meetingId, [
+    { title: 'Send the invoice', assignee: 'Bob' },
+    { title: 'Book the venue', assignee: 'Dan' },
+  ]), 'watcher');
+
+  assert.equal(store.getActionItem(approved.id).assignee, 'Alice');
+  assert.equal(store.getActionItem(approved.id).status, 'approved');
+  assert.equal(store.getActionItem(edited.id).assignee, 'Carol');
+  assert.equal(store.findActionItems({ meetingId }).length, 2);
+});
+
+test('a fuzzy match does not take the stored version of another extracted item', () => {
+  const meetingId = `m${++meetings}`;
+  const [alice] = store.saveActionItems(extract(meetingId, [{ title: 'Update the onboarding doc', assignee: 'Alice' }]), 'watcher');
+
+  store.saveActionItems(extract(meetingId, [
+    { title: 'Update the onboarding doc', assignee: 'Carol' },
+    { title: 'Update the onboarding doc', assignee: 'Alice' },
+  ]), 'watcher');
+
+  assert.equal(store.getActionItem(alice.id).assignee, 'Alice');
+  assert.deepEqual(store.findActionItems({ meetingId }).map(i => i.assignee).sort(), ['Alice', 'Carol']);
+});
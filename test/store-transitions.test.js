@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATUS_TRANSITIONS, ACTION_ITEM_STATUSES, REVIEW_STATUSES, canTransition } from '../src/store.js';
+
+test('every transition leads to a known status', () => {
+  for (const targets of Object.values(STATUS_TRANSITIONS)) {
+    for (const status of targets) {
+      assert.ok(ACTION_ITEM_STATUSES.includes(status), status);
+    }
+  }
+  for (const status of REVIEW_STATUSES) {
+    assert.ok(ACTION_ITEM_STATUSES.includes(status), status);
+  }
+});
+
+test('review moves items between pending, approved and rejected', () => {
+  assert.ok(canTransition('pending_review', 'approved'));
+  assert.ok(canTransition('pending_review', 'rejected'));
+  assert.ok(canTransition('approved', 'pending_review'));
+  assert.ok(canTransition('rejected', 'approved'));
+});
+
+test('only approved items get an issue created', () => {
+  assert.ok(canTransition('approved', 'created'));
+  assert.ok(!canTransition('pending_review', 'created'));
+  assert.ok(!canTransition('rejected', 'created'));
+});
+
+test('created items only leave through Linear or undo', () => {
+  assert.ok(canTransition('created', 'issue_missing'));
+  assert.ok(canTransition('created', 'approved'));
+  assert.ok(!canTransition('created', 'pending_review'));
+  assert.ok(!canTransition('created', 'rejected'));
+  assert.ok(canTransition('issue_missing', 'created'));
+});
+
+test('keeping the same status is always allowed', () => {
+  for (const status of ACTION_ITEM_STATUSES) {
+    assert.ok(canTransition(status, status), status);
+  }
+});
+
+test('unknown statuses cannot be left or reached', () => {
+  assert.ok(!canTransition('archived', 'approved'));
+  assert.ok(!canTransition('approved', 'archived'));
+});
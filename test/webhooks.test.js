@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { verifySignature, checkReplay } from '../src/webhooks.js';
+
+const SECRET = 'whsec_test';
+const body = Buffer.from(JSON.stringify({ type: 'Issue', action: 'update', data: { id: 'issue-1' } }));
+const sign = (raw, secret = SECRET) => createHmac('sha256', secret).update(raw).digest('hex');
+
+test('accepts a body signed with the secret', () => {
+  assert.equal(verifySignature(body, sign(body), SECRET), true);
+});
+
+test('rejects a tampered body, another secret or a malformed signature', () => {
+  assert.equal(verifySignature(Buffer.from(`${body} `), sign(body), SECRET), false);
+  assert.equal(verifySignature(body, sign(body, 'other'), SECRET), false);
+  assert.equal(verifySignature(body, sign(body).slice(0, 32), SECRET), false);
+  assert.equal(verifySignature(body, 'not hex', SECRET), false);
+});
+
+test('rejects missing body, signature or secret', () => {
+  assert.equal(verifySignature(null, sign(body), SECRET), false);
+  assert.equal(verifySignature(body, undefined, SECRET), false);
+  assert.equal(verifySignature(body, sign(body), null), false);
+});
+
+test('rejects stale, future and missing timestamps', () => {
+  const now = Date.parse('2026-10-14T12:00:00Z');
+  assert.equal(checkReplay({ webhookTimestamp: now - 30 * 1000 }, null, now), null);
+  assert.match(checkReplay({ webhookTimestamp: now - 5 * 60 * 1000 }, null, now), /Stale/);
+  assert.match(checkReplay({ webhookTimestamp: now + 5 * 60 * 1000 }, null, now), /Stale/);
+  assert.match(checkReplay({}, null, now), /Stale/);
+});
+
+test('rejects a delivery seen before', () => {
+  const now = Date.parse('2026-10-14T12:00:00Z');
+  const payload = { webhookTimestamp: now };
+  assert.equal(checkReplay(payload, 'delivery-1', now), null);
+  assert.match(checkReplay(payload, 'delivery-1', now + 1000), /Duplicate/);
+  assert.equal(checkReplay(payload, 'delivery-2', now + 1000), null);
+});